@@ -11,9 +11,38 @@ const reviewRoutes = require('./routes/reviews');
 console.log('JWT_SECRET:', process.env.JWT_SECRET);
 
 const seedDatabase = require('./seed');
+const { startAccountDeletionJob } = require('./jobs/accountDeletion');
+const { startTrendingJob } = require('./jobs/trending');
+const { startTmdbSyncJob } = require('./jobs/tmdbSync');
+const { startMoviePurgeJob } = require('./jobs/moviePurge');
+const { STORAGE_DRIVER, UPLOAD_DIR } = require('./utils/storage');
+const { mailConfigProblem } = require('./utils/mailer');
+
+// Mail is needed for password resets and email verification, but everything
+// else works without it, so only warn here
+const mailProblem = mailConfigProblem();
+if (mailProblem) {
+  console.warn(`⚠️  Mail is not configured, emails will fail to send: ${mailProblem}`);
+}
 
 const app = express();
 
+// Proxy hops in front of the app (Heroku's router is one). req.ip, which the
+// rate limiter and login throttling key on, is read from X-Forwarded-For
+// past this many hops instead of being the proxy's own address.
+function trustProxySetting(value) {
+  if (value === undefined || value === '') {
+    return process.env.NODE_ENV === 'production' ? 1 : false;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value; // addresses or subnets, e.g. "loopback, 10.0.0.0/8"
+}
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
 
 // Security middleware
 app.use(helmet());
@@ -35,12 +64,33 @@ app.use(express.json({ limit: '10mb' }));
 const moviesRoutes = require('./routes/movies');
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Uploaded images, when kept on local disk. File names are random and never
+// reused, so they can be cached for good; other origins may embed them.
+if (STORAGE_DRIVER === 'local') {
+  app.use('/uploads', express.static(UPLOAD_DIR, {
+    immutable: true,
+    maxAge: '365d',
+    setHeaders: res => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // Routes
+app.use('/api/auth/oidc', require('./routes/oidc'));
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
+app.use('/api/auth/tokens', require('./routes/tokens'));
+app.use('/api/auth/account', require('./routes/account'));
+app.use('/api/auth/sessions', require('./routes/sessions'));
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/movies/:movieId/availability', require('./routes/availability'));
 app.use('/api/movies', require('./routes/movies'));
 app.use("/reviews", reviewRoutes);
 app.use('/api/users', require('./routes/users'));
 app.use('/api/watchlist', require('./routes/watchlist'));
+app.use('/api/collections', require('./routes/collections'));
+app.use('/api/people', require('./routes/people'));
+app.use('/api/genres', require('./routes/genres'));
+app.use('/api/admin/catalog', require('./routes/catalog'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -69,6 +119,12 @@ async function startServer() {
     });
     console.log('✅ MongoDB connected');
 
+    // Background jobs
+    startAccountDeletionJob();
+    startTrendingJob();
+    startTmdbSyncJob();
+    startMoviePurgeJob();
+
     app.listen(5000, () => console.log("Server running on port 5000"));
   } catch (err) {
     console.error('MongoDB connection error:', err);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const {
+  User,
+  Movie,
+  Review,
+  Watchlist,
+  Session,
+  RefreshToken,
+  PersonalAccessToken,
+  LoginThrottle
+} = require('../models');
+const { recordAudit } = require('../utils/audit');
+const { deleteImage } = require('../utils/images');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Permanently remove an account and its data.
+// Reviews are either deleted or anonymized. Anonymized reviews are moved to a
+// fresh ObjectId that belongs to no user, which keeps the rating and text but
+// drops the link to the person (and keeps the userId/movieId index unique).
+async function purgeAccount(user) {
+  const movieIds = await Review.distinct('movieId', { userId: user._id });
+
+  if (user.deletionReviewMode === 'anonymize') {
+    const reviews = await Review.find({ userId: user._id }).select('_id');
+    for (const review of reviews) {
+      await Review.updateOne(
+        { _id: review._id },
+        { userId: new mongoose.Types.ObjectId(), isAnonymized: true }
+      );
+    }
+  } else {
+    await Review.deleteMany({ userId: user._id });
+  }
+
+  // Ratings change when reviews are removed, so refresh every affected movie
+  for (const movieId of movieIds) {
+    await Movie.calculateAverageRating(movieId);
+  }
+
+  await Watchlist.deleteMany({ userId: user._id });
+  await RefreshToken.deleteMany({ userId: user._id });
+  await Session.deleteMany({ userId: user._id });
+  await PersonalAccessToken.deleteMany({ userId: user._id });
+  await LoginThrottle.deleteOne({ key: `account:${user.email}` });
+  await User.deleteOne({ _id: user._id });
+  await deleteImage(user.profileImages);
+
+  await recordAudit({
+    action: 'account_deleted',
+    userId: user._id,
+    details: { reviewMode: user.deletionReviewMode, affectedMovies: movieIds.length }
+  });
+}
+
+// Purge every account whose grace period has run out
+async function purgeDueAccounts() {
+  const users = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } });
+
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+      console.log(`Deleted account ${user._id}`);
+    } catch (error) {
+      console.error(`Account deletion error for ${user._id}:`, error);
+    }
+  }
+
+  return users.length;
+}
+
+function startAccountDeletionJob() {
+  const run = () => purgeDueAccounts().catch(error => console.error('Account deletion job error:', error));
+
+  run();
+  return setInterval(run, CHECK_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  purgeAccount,
+  purgeDueAccounts,
+  startAccountDeletionJob
+};
@@ -0,0 +1,98 @@
+const {
+  Movie,
+  MovieRevision,
+  Review,
+  Watchlist,
+  Collection,
+  TrendingSnapshot,
+  TmdbSyncReport,
+  Availability
+} = require('../models');
+const { recordAudit } = require('../utils/audit');
+const { deleteImage } = require('../utils/images');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Soft-deleted movies are purged automatically after this many days
+const PURGE_AFTER_DAYS = parseInt(process.env.MOVIE_PURGE_AFTER_DAYS) || 30;
+
+function purgeDate(movie) {
+  return new Date(movie.deletedAt.getTime() + PURGE_AFTER_DAYS * DAY_MS);
+}
+
+// Permanently remove a soft-deleted movie with its reviews, watchlist items,
+// history and uploaded images, and take it out of collections and trending rankings.
+// Trending scores are per movie, so dropping its entries leaves the rest of
+// each ranking correct until the next refresh.
+async function purgeMovie(movie, { actorId = null } = {}) {
+  const movieId = movie._id;
+
+  // Earlier uploads stay referenced by revisions until now, so gather them first
+  const revisions = await MovieRevision.find({ movieId })
+    .select('snapshot.posterImages snapshot.backdropImages')
+    .lean();
+  const images = [movie.posterImages, movie.backdropImages];
+  for (const { snapshot } of revisions) {
+    images.push(snapshot?.posterImages, snapshot?.backdropImages);
+  }
+
+  const reviews = await Review.deleteMany({ movieId });
+  const watchlist = await Watchlist.deleteMany({ movieId });
+  await MovieRevision.deleteMany({ movieId });
+  await TmdbSyncReport.deleteMany({ movieId });
+  await Availability.deleteMany({ movieId });
+  await Collection.updateMany({ 'movies.movieId': movieId }, { $pull: { movies: { movieId } } });
+  await TrendingSnapshot.updateMany({ 'movies.movieId': movieId }, { $pull: { movies: { movieId } } });
+  await Movie.deleteOne({ _id: movieId });
+
+  const storageKeys = new Set(images.filter(image => image?.storageKey).map(image => image.storageKey));
+  for (const storageKey of storageKeys) {
+    await deleteImage({ storageKey });
+  }
+
+  const result = {
+    reviewsDeleted: reviews.deletedCount,
+    watchlistItemsDeleted: watchlist.deletedCount
+  };
+
+  await recordAudit({
+    action: 'movie_purged',
+    actorId,
+    details: { movieId, title: movie.title, ...result }
+  });
+
+  return result;
+}
+
+// Purge every soft-deleted movie past its retention period
+async function purgeDueMovies() {
+  const cutoff = new Date(Date.now() - PURGE_AFTER_DAYS * DAY_MS);
+  const movies = await Movie.find({ deletedAt: { $ne: null, $lte: cutoff } })
+    .setOptions({ withDeleted: true });
+
+  for (const movie of movies) {
+    try {
+      await purgeMovie(movie);
+      console.log(`Purged movie ${movie._id}`);
+    } catch (error) {
+      console.error(`Movie purge error for ${movie._id}:`, error);
+    }
+  }
+
+  return movies.length;
+}
+
+function startMoviePurgeJob() {
+  const run = () => purgeDueMovies().catch(error => console.error('Movie purge job error:', error));
+
+  run();
+  return setInterval(run, CHECK_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  purgeDate,
+  purgeMovie,
+  purgeDueMovies,
+  startMoviePurgeJob
+};
@@ -0,0 +1,172 @@
+const { Movie, TmdbSyncReport } = require('../models');
+const { SYNCED_FIELDS, isConfigured, fetchMovieData } = require('../utils/tmdb');
+const { invalidateAutocompleteIndex } = require('../utils/autocomplete');
+const { invalidateSimilarCache } = require('../utils/similar');
+const { linkCredits } = require('../utils/people');
+const { snapshotOf, recordRevision } = require('../utils/revisions');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Each movie is refreshed once per interval; the job wakes up hourly and
+// syncs at most BATCH_SIZE of the stalest movies so TMDB traffic is spread out
+const SYNC_INTERVAL_MS = (parseInt(process.env.TMDB_SYNC_INTERVAL_HOURS) || 24) * HOUR_MS;
+const BATCH_SIZE = parseInt(process.env.TMDB_SYNC_BATCH_SIZE) || 200;
+const CHECK_INTERVAL_MS = HOUR_MS;
+
+let runningSync = null;
+
+// Plain, comparable form of a field value
+function comparable(field, value) {
+  if (field === 'cast') {
+    return (value || []).map(member => ({ name: member.name, character: member.character || null }));
+  }
+  if (field === 'genre') {
+    return [...(value || [])];
+  }
+  if (field === 'releaseDates') {
+    return (value || []).map(release => ({ region: release.region, type: release.type, date: new Date(release.date).toISOString() }));
+  }
+  return value ?? null;
+}
+
+// TMDB sometimes has gaps; never overwrite our data with nothing
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'number') return !Number.isNaN(value);
+  return value !== null && value !== undefined && value !== '';
+}
+
+// Re-fetch one movie from TMDB, apply changes to fields that were not
+// overridden by hand, and store a report of what happened
+async function syncMovie(movie, { trigger = 'schedule', triggeredBy = null } = {}) {
+  const report = {
+    movieId: movie._id,
+    tmdbId: movie.tmdbId,
+    trigger,
+    triggeredBy,
+    changes: [],
+    skippedFields: []
+  };
+
+  try {
+    const latest = await fetchMovieData(movie.tmdbId, { useCache: false });
+    const overridden = new Set(movie.overriddenFields || []);
+    const previous = snapshotOf(movie);
+
+    for (const field of SYNCED_FIELDS) {
+      if (!hasValue(latest[field])) continue;
+
+      const from = comparable(field, movie[field]);
+      const to = comparable(field, latest[field]);
+      if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+      if (overridden.has(field)) {
+        report.skippedFields.push(field);
+        continue;
+      }
+
+      report.changes.push({ field, from, to });
+      movie[field] = latest[field];
+    }
+
+    const creditsChanged = report.changes.some(change => ['director', 'cast'].includes(change.field));
+    if (creditsChanged || movie.credits.length === 0) {
+      await linkCredits(movie, latest.tmdbPeople);
+    }
+
+    movie.tmdbSyncedAt = new Date();
+    await movie.save();
+    await recordRevision(movie, { action: 'tmdb_sync', authorId: triggeredBy, previous });
+    report.status = report.changes.length > 0 ? 'updated' : 'unchanged';
+  } catch (error) {
+    if (error.response?.status === 404) {
+      report.status = 'not_found';
+      report.error = 'Movie not found on TMDB';
+    } else {
+      report.status = 'failed';
+      report.error = error.response?.data?.status_message || error.message;
+    }
+
+    // Count the attempt so one broken movie doesn't stay at the front of the queue
+    await Movie.updateOne({ _id: movie._id }, { tmdbSyncedAt: new Date() });
+  }
+
+  return TmdbSyncReport.create(report);
+}
+
+// Sync every TMDB movie matching the filter, stalest first
+async function syncMovies(filter = {}, { limit = 0, ...options } = {}) {
+  // Collect ids up front: syncing moves movies within the tmdbSyncedAt order
+  const pending = await Movie.find({ tmdbId: { $ne: null }, ...filter })
+    .select('_id')
+    .sort({ tmdbSyncedAt: 1 })
+    .limit(limit)
+    .lean();
+
+  const summary = { total: pending.length, updated: 0, unchanged: 0, not_found: 0, failed: 0 };
+
+  for (const { _id } of pending) {
+    const movie = await Movie.findById(_id);
+    if (!movie) continue;
+
+    const report = await syncMovie(movie, options);
+    summary[report.status] += 1;
+  }
+
+  if (summary.updated > 0) {
+    invalidateAutocompleteIndex();
+    invalidateSimilarCache();
+  }
+
+  return summary;
+}
+
+// Run a sync unless one is already in progress; resolves with its summary
+function startSync(filter, options) {
+  if (runningSync) {
+    return null;
+  }
+
+  runningSync = syncMovies(filter, options).finally(() => {
+    runningSync = null;
+  });
+  return runningSync;
+}
+
+function isSyncRunning() {
+  return runningSync !== null;
+}
+
+// Sync movies that haven't been refreshed within the sync interval
+function syncDueMovies() {
+  const staleBefore = new Date(Date.now() - SYNC_INTERVAL_MS);
+  return startSync(
+    { $or: [{ tmdbSyncedAt: null }, { tmdbSyncedAt: { $lt: staleBefore } }] },
+    { limit: BATCH_SIZE, trigger: 'schedule' }
+  );
+}
+
+function startTmdbSyncJob() {
+  if (!isConfigured()) {
+    return null;
+  }
+
+  const run = () => {
+    const sync = syncDueMovies();
+    if (sync) {
+      sync.catch(error => console.error('TMDB sync job error:', error));
+    }
+  };
+
+  run();
+  return setInterval(run, CHECK_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  syncMovie,
+  syncMovies,
+  startSync,
+  isSyncRunning,
+  syncDueMovies,
+  startTmdbSyncJob
+};
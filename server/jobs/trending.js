@@ -0,0 +1,121 @@
+const { Review, Watchlist, TrendingSnapshot } = require('../models');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How far back each window looks and how quickly activity fades.
+// An event loses half its weight every halfLife.
+const TRENDING_WINDOWS = {
+  day: { lookbackMs: 2 * DAY_MS, halfLifeMs: 12 * HOUR_MS },
+  week: { lookbackMs: 14 * DAY_MS, halfLifeMs: 3 * DAY_MS },
+  month: { lookbackMs: 60 * DAY_MS, halfLifeMs: 10 * DAY_MS }
+};
+
+// Relative weight of each kind of activity
+const REVIEW_WEIGHT = 3;
+const HELPFUL_VOTE_WEIGHT = 0.5;
+const WATCHLIST_WEIGHT = 1;
+
+const SNAPSHOT_SIZE = 50;
+const REFRESH_INTERVAL_MS = (parseInt(process.env.TRENDING_REFRESH_MINUTES) || 15) * 60 * 1000;
+
+// exp(-ln2 * age / halfLife) as an aggregation expression
+function decayExpression(dateField, now, halfLifeMs) {
+  return {
+    $exp: {
+      $multiply: [-Math.LN2 / halfLifeMs, { $subtract: [now, dateField] }]
+    }
+  };
+}
+
+// Score every movie with recent activity and store the top of the ranking
+async function computeTrending(window) {
+  const { lookbackMs, halfLifeMs } = TRENDING_WINDOWS[window];
+  const now = new Date();
+  const since = new Date(now.getTime() - lookbackMs);
+
+  // Reviews count more when well rated and when others found them helpful.
+  // Helpful votes carry no timestamp, so they decay with the review's age.
+  const reviewScores = await Review.aggregate([
+    { $match: { createdAt: { $gte: since }, movieDeleted: { $ne: true } } },
+    {
+      $project: {
+        movieId: 1,
+        weight: {
+          $multiply: [
+            {
+              $add: [
+                { $multiply: [REVIEW_WEIGHT, { $add: [1, { $multiply: [{ $subtract: ['$rating', 3] }, 0.25] }] }] },
+                { $multiply: [HELPFUL_VOTE_WEIGHT, { $ifNull: ['$helpfulVotes', 0] }] }
+              ]
+            },
+            decayExpression('$createdAt', now, halfLifeMs)
+          ]
+        }
+      }
+    },
+    { $group: { _id: '$movieId', score: { $sum: '$weight' }, count: { $sum: 1 } } }
+  ]);
+
+  const watchlistScores = await Watchlist.aggregate([
+    { $match: { dateAdded: { $gte: since }, movieDeleted: { $ne: true } } },
+    {
+      $project: {
+        movieId: 1,
+        weight: { $multiply: [WATCHLIST_WEIGHT, decayExpression('$dateAdded', now, halfLifeMs)] }
+      }
+    },
+    { $group: { _id: '$movieId', score: { $sum: '$weight' }, count: { $sum: 1 } } }
+  ]);
+
+  const scores = new Map();
+  const entryFor = movieId => {
+    const key = movieId.toString();
+    if (!scores.has(key)) {
+      scores.set(key, { movieId, score: 0, recentReviews: 0, recentWatchlistAdds: 0 });
+    }
+    return scores.get(key);
+  };
+
+  for (const { _id, score, count } of reviewScores) {
+    const entry = entryFor(_id);
+    entry.score += score;
+    entry.recentReviews = count;
+  }
+  for (const { _id, score, count } of watchlistScores) {
+    const entry = entryFor(_id);
+    entry.score += score;
+    entry.recentWatchlistAdds = count;
+  }
+
+  const movies = [...scores.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SNAPSHOT_SIZE)
+    .map(entry => ({ ...entry, score: Math.round(entry.score * 1000) / 1000 }));
+
+  return TrendingSnapshot.findOneAndUpdate(
+    { window },
+    { window, computedAt: now, movies },
+    { upsert: true, new: true }
+  );
+}
+
+async function computeAllTrending() {
+  for (const window of Object.keys(TRENDING_WINDOWS)) {
+    await computeTrending(window);
+  }
+}
+
+function startTrendingJob() {
+  const run = () => computeAllTrending().catch(error => console.error('Trending job error:', error));
+
+  run();
+  return setInterval(run, REFRESH_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  TRENDING_WINDOWS,
+  computeTrending,
+  computeAllTrending,
+  startTrendingJob
+};
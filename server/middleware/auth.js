@@ -1,5 +1,16 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Session } = require('../models');
+const { isVerificationRequired } = require('../utils/emailVerification');
+const { getPermissions, isPrivilegedPermission, isBlockedByTwoFactorMandate } = require('../utils/permissions');
+const { isPersonalAccessToken, findActivePersonalAccessToken } = require('../utils/personalAccessTokens');
+const { touchSession } = require('../utils/tokens');
+
+// The only scope a personal access token passed in a URL may carry
+const QUERY_TOKEN_SCOPE = 'watchlist:read';
+
+function isQueryTokenScopes(scopes) {
+  return scopes.length === 1 && scopes[0] === QUERY_TOKEN_SCOPE;
+}
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -8,14 +19,50 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
+    // Personal access tokens carry their own scopes and no session
+    if (isPersonalAccessToken(token)) {
+      const accessToken = await findActivePersonalAccessToken(token);
+      if (!accessToken) {
+        return res.status(401).json({ message: 'Token is not valid' });
+      }
+
+      const user = await User.findById(accessToken.userId).select('-password');
+      if (!user) {
+        return res.status(401).json({ message: 'Token is not valid' });
+      }
+
+      // A token from a URL can leak through logs and shared links, so it may
+      // only be a read-only feed token
+      if (req.queryToken && !isQueryTokenScopes(accessToken.scopes)) {
+        return res.status(403).json({ message: `Tokens in URLs may only have the ${QUERY_TOKEN_SCOPE} scope` });
+      }
+
+      req.user = user;
+      req.tokenScopes = accessToken.scopes;
+      return next();
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.sid) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
 
     if (!user) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
+    // Access tokens are bound to a session so they stop working once it is revoked
+    const session = await Session.findOne({ _id: decoded.sid, userId: user._id, revokedAt: null });
+    if (!session) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    await touchSession(session);
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -23,16 +70,66 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-const adminMiddleware = (req, res, next) => {
-  if (!req.user.isAdmin) {
-    return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+// Feeds read by other apps (e.g. calendar subscriptions) can't send headers,
+// so they also take a personal access token as ?token=. Session tokens are
+// never accepted in URLs, where they would end up in logs, and neither are
+// personal access tokens with any scope beyond QUERY_TOKEN_SCOPE.
+const allowQueryToken = (req, res, next) => {
+  const token = req.query.token;
+  if (!req.header('Authorization') && typeof token === 'string' && isPersonalAccessToken(token)) {
+    req.headers.authorization = `Bearer ${token}`;
+    req.queryToken = true;
+  }
+  next();
+};
+
+// Require every listed permission, e.g. requirePermission('movie:write')
+const requirePermission = (...permissions) => (req, res, next) => {
+  const granted = getPermissions(req.user);
+  const missing = permissions.filter(permission => !granted.has(permission));
+  if (missing.length > 0) {
+    return res.status(403).json({ message: `Access denied. Missing permission: ${missing.join(', ')}` });
+  }
+
+  // Same rule hasPermission applies, checked here for a clearer message
+  const privileged = permissions.some(isPrivilegedPermission);
+  if (privileged && isBlockedByTwoFactorMandate(req.user)) {
+    return res.status(403).json({ message: 'Two-factor authentication must be enabled for admin accounts' });
+  }
+  next();
+};
+
+// Personal access tokens can only reach routes covered by their scopes.
+// Session logins are not scope-restricted.
+const requireScope = (scope) => (req, res, next) => {
+  if (req.tokenScopes && !req.tokenScopes.includes(scope)) {
+    return res.status(403).json({ message: `Token is missing required scope: ${scope}` });
+  }
+  next();
+};
+
+// Account security routes are off limits to personal access tokens
+const requireSession = (req, res, next) => {
+  if (req.tokenScopes) {
+    return res.status(403).json({ message: 'This action is not available to personal access tokens' });
+  }
+  next();
+};
+
+const requireVerifiedEmail = (req, res, next) => {
+  if (isVerificationRequired() && !req.user.emailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
   }
   next();
 };
 
 module.exports = {
   authMiddleware,
-  adminMiddleware
+  allowQueryToken,
+  requirePermission,
+  requireScope,
+  requireSession,
+  requireVerifiedEmail
 };
 
 
@@ -0,0 +1,39 @@
+const multer = require('multer');
+const { ACCEPTED_MIME_TYPES, MAX_UPLOAD_BYTES } = require('../utils/images');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ACCEPTED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error('Only JPEG, PNG and WebP images are accepted');
+      error.code = 'UNSUPPORTED_IMAGE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single image in a multipart field, answering upload problems with a 4xx
+const imageUpload = (field) => {
+  const handler = upload.single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (error?.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ message: `Image must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB` });
+      }
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+      if (!req.file) {
+        return res.status(400).json({ message: `An image is required in the "${field}" field` });
+      }
+      next();
+    });
+  };
+};
+
+module.exports = {
+  imageUpload
+};
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const { Movie } = require('../models');
+
+// Reviews and watchlist items carry a movieDeleted flag so user listings can
+// skip deleted movies without a join. Flag the ones belonging to movies that
+// were already soft-deleted before the flag existed. Safe to run more than once.
+async function migrateMovieDeletedFlags() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/movie_reviews');
+    console.log('Connected to MongoDB');
+
+    const movies = await Movie.find({ deletedAt: { $ne: null } })
+      .setOptions({ withDeleted: true })
+      .select('_id')
+      .lean();
+
+    for (const { _id } of movies) {
+      await Movie.markDependentsDeleted(_id, true);
+    }
+    console.log(`Flagged reviews and watchlist items of ${movies.length} deleted movies`);
+
+    console.log('\n✅ Movie deleted flag migration complete');
+  } catch (error) {
+    console.error('Error migrating movie deleted flags:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  migrateMovieDeletedFlags();
+}
+
+module.exports = migrateMovieDeletedFlags;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const { Movie } = require('../models');
+const { linkCredits } = require('../utils/people');
+const tmdb = require('../utils/tmdb');
+
+// Create Person records from the director and cast names embedded in movies
+// and link them through movie credits. Movies imported from TMDB are matched
+// by TMDB person id when the API is configured, so namesakes stay apart.
+// Safe to run more than once: people are looked up before being created.
+async function migratePeople() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/movie_reviews');
+    console.log('Connected to MongoDB');
+
+    const movies = await Movie.find({}).setOptions({ withDeleted: true }).select('_id').lean();
+    let linked = 0;
+
+    for (const { _id } of movies) {
+      const movie = await Movie.findById(_id).setOptions({ withDeleted: true });
+
+      let tmdbPeople = {};
+      if (movie.tmdbId && tmdb.isConfigured()) {
+        try {
+          ({ tmdbPeople } = await tmdb.fetchMovieData(movie.tmdbId));
+        } catch (error) {
+          console.warn(`Could not fetch TMDB credits for "${movie.title}", matching by name`);
+        }
+      }
+
+      await linkCredits(movie, tmdbPeople);
+      await movie.save();
+      linked += 1;
+    }
+    console.log(`Linked credits for ${linked} movies`);
+
+    console.log('\n✅ People migration complete');
+  } catch (error) {
+    console.error('Error migrating people:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  migratePeople();
+}
+
+module.exports = migratePeople;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const { User } = require('../models');
+
+// Replace the legacy isAdmin flag with named roles.
+// Safe to run more than once: existing roles are kept, admins only gain roles.
+async function migrateRoles() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/movie_reviews');
+    console.log('Connected to MongoDB');
+
+    // isAdmin is no longer in the schema, so go through the raw collection.
+    // Promote admins first, including ones that already have roles, so the
+    // flag is never dropped before the admin role is in place.
+    const admins = await User.collection.updateMany(
+      { isAdmin: true },
+      { $addToSet: { roles: { $each: ['user', 'admin'] } } }
+    );
+    console.log(`Migrated ${admins.modifiedCount} admin users`);
+
+    const users = await User.collection.updateMany(
+      { roles: { $exists: false } },
+      { $set: { roles: ['user'] } }
+    );
+    console.log(`Migrated ${users.modifiedCount} regular users`);
+
+    // Everyone has roles now, so the legacy flag can go
+    await User.collection.updateMany(
+      { isAdmin: { $exists: true } },
+      { $unset: { isAdmin: '' } }
+    );
+
+    console.log('\n✅ Role migration complete');
+  } catch (error) {
+    console.error('Error migrating roles:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  migrateRoles();
+}
+
+module.exports = migrateRoles;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const { User } = require('../models');
+
+// Accounts created before email verification was introduced have no
+// emailVerified field. Treat them as verified so they can keep posting reviews.
+// Safe to run more than once: accounts with the field set are left alone.
+async function migrateVerifiedEmails() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/movie_reviews');
+    console.log('Connected to MongoDB');
+
+    // Mongoose would fill in the default, so go through the raw collection
+    const result = await User.collection.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+    console.log(`Marked ${result.modifiedCount} existing users as verified`);
+
+    console.log('\n✅ Email verification migration complete');
+  } catch (error) {
+    console.error('Error migrating email verification:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  migrateVerifiedEmails();
+}
+
+module.exports = migrateVerifiedEmails;
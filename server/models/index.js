@@ -1,5 +1,31 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, DEFAULT_ROLES } = require('../utils/permissions');
+
+// Uploaded image, stored in resized variants (see utils/images.js)
+const imageVariantsSchema = new mongoose.Schema({
+  thumbnail: String,
+  card: String,
+  full: String,
+  storageKey: String // where the variants live in file storage
+}, {
+  _id: false
+});
+
+// Text in one locale, e.g. { locale: 'pt-BR', title: '...' }
+const translationSchema = new mongoose.Schema({
+  locale: {
+    type: String, // BCP 47 tag such as "fr" or "pt-BR"
+    required: true
+  },
+  title: String,
+  synopsis: {
+    type: String,
+    maxlength: 2000
+  }
+}, {
+  _id: false
+});
 
 // User Schema
 const userSchema = new mongoose.Schema({
@@ -27,14 +53,97 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  profileImages: {
+    type: imageVariantsSchema,
+    default: null
+  },
   joinDate: {
     type: Date,
     default: Date.now
   },
-  isAdmin: {
+  roles: {
+    type: [{
+      type: String,
+      enum: ROLES
+    }],
+    default: DEFAULT_ROLES
+  },
+  emailVerified: {
     type: Boolean,
     default: false
-  }
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  passwordResetTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String], // SHA-256 hashes of unused recovery codes
+    default: [],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  deletionReviewMode: {
+    type: String,
+    enum: ['anonymize', 'delete', null],
+    default: null
+  },
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -52,6 +161,11 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Kept for clients that still read the old isAdmin flag
+userSchema.virtual('isAdmin').get(function() {
+  return Array.isArray(this.roles) && this.roles.includes('admin');
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
@@ -95,10 +209,18 @@ const movieSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  posterImages: {
+    type: imageVariantsSchema,
+    default: null
+  },
   backdropUrl: {
     type: String,
     default: null
   },
+  backdropImages: {
+    type: imageVariantsSchema,
+    default: null
+  },
   trailerUrl: {
     type: String,
     default: null
@@ -125,6 +247,165 @@ const movieSchema = new mongoose.Schema({
   imdbId: {
     type: String,
     default: null
+  },
+  // Release dates per region; releaseYear stays the headline year
+  releaseDates: [{
+    _id: false,
+    region: {
+      type: String, // ISO 3166-1 alpha-2 country code
+      required: true,
+      uppercase: true,
+      match: /^[A-Z]{2}$/
+    },
+    type: {
+      type: String,
+      enum: ['theatrical', 'digital'],
+      required: true
+    },
+    date: {
+      type: Date,
+      required: true
+    }
+  }],
+  // Localized title and synopsis; title, synopsis and genre above are the originals
+  translations: [translationSchema],
+  // People credited on the movie. director and cast keep the names
+  // for display and search; credits link them to Person records.
+  credits: [{
+    personId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Person',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['director', 'cast'],
+      required: true
+    },
+    character: {
+      type: String,
+      default: null
+    },
+    order: {
+      type: Number, // billing order within the role
+      default: 0
+    }
+  }],
+  // Fields edited by hand, which the TMDB sync leaves alone
+  overriddenFields: [{
+    type: String
+  }],
+  tmdbSyncedAt: {
+    type: Date,
+    default: null
+  },
+  // Soft delete: hidden everywhere until restored or purged
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual field for reviews
+movieSchema.virtual('reviews', {
+  ref: 'Review',
+  localField: '_id',
+  foreignField: 'movieId'
+});
+
+// Movie Revision Schema (versioned history of catalog edits)
+const movieRevisionSchema = new mongoose.Schema({
+  movieId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    // initial: state found when history started for a movie created earlier
+    enum: ['initial', 'create', 'update', 'revert', 'tmdb_sync'],
+    required: true
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changes: [{
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed, // tracked fields as they were after this revision
+    required: true
+  },
+  revertedTo: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Genre Schema (localized display labels for the genre names used on movies)
+const genreSchema = new mongoose.Schema({
+  name: {
+    type: String, // as stored in Movie.genre
+    required: true,
+    unique: true
+  },
+  labels: [{
+    _id: false,
+    locale: {
+      type: String,
+      required: true
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Person Schema (directors and cast members)
+const personSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  bio: {
+    type: String,
+    maxlength: 5000,
+    default: ''
+  },
+  photoUrl: {
+    type: String,
+    default: null
+  },
+  tmdbPersonId: {
+    type: Number, // no default: the sparse unique index must not see nulls
+    unique: true,
+    sparse: true
   }
 }, {
   timestamps: true
@@ -160,6 +441,14 @@ const reviewSchema = new mongoose.Schema({
   isVerified: {
     type: Boolean,
     default: false
+  },
+  isAnonymized: {
+    type: Boolean,
+    default: false
+  },
+  movieDeleted: {
+    type: Boolean, // mirrors the movie's soft delete, so listings skip it without a join
+    default: false
   }
 }, {
   timestamps: true
@@ -185,6 +474,441 @@ const watchlistSchema = new mongoose.Schema({
     type: String,
     enum: ['want_to_watch', 'watching', 'watched'],
     default: 'want_to_watch'
+  },
+  movieDeleted: {
+    type: Boolean, // mirrors the movie's soft delete, so listings skip it without a join
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Session Schema (one per login, groups a family of rotating refresh tokens)
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Refresh Token Schema (only the SHA-256 hash of the token is stored)
+const refreshTokenSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// OIDC Login State Schema (short-lived, holds state/nonce/PKCE verifier)
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  providerId: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Login Challenge Schema (password step done, waiting for the second factor)
+const loginChallengeSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String, // SHA-256 of the challenge token given to the client
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Collection Schema (editor-curated, ordered list of movies)
+const collectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 2000
+  },
+  movies: [{
+    movieId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Movie',
+      required: true
+    },
+    note: {
+      type: String,
+      default: null,
+      maxlength: 500
+    }
+  }],
+  position: {
+    type: Number, // lower comes first on the featured page
+    default: 0
+  },
+  publishAt: {
+    type: Date,
+    default: null // null keeps the collection as an unpublished draft
+  },
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Trending Snapshot Schema (precomputed ranking for one time window)
+const trendingSnapshotSchema = new mongoose.Schema({
+  window: {
+    type: String,
+    enum: ['day', 'week', 'month'],
+    required: true,
+    unique: true
+  },
+  computedAt: {
+    type: Date,
+    required: true
+  },
+  movies: [{
+    movieId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Movie',
+      required: true
+    },
+    score: {
+      type: Number,
+      required: true
+    },
+    recentReviews: {
+      type: Number,
+      default: 0
+    },
+    recentWatchlistAdds: {
+      type: Number,
+      default: 0
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Personal Access Token Schema (only the SHA-256 hash of the token is stored)
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tokenPrefix: {
+    type: String, // first characters of the token, to help users recognise it
+    required: true
+  },
+  scopes: [{
+    type: String,
+    required: true
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Login Throttle Schema (failed login counters per account or per IP)
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String, // "account:<email>" or "ip:<address>"
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Audit Log Schema
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Availability Schema (where a movie can be watched, per provider and region)
+const availabilitySchema = new mongoose.Schema({
+  movieId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie',
+    required: true
+  },
+  provider: {
+    type: String, // e.g. "Netflix"
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  region: {
+    type: String, // ISO 3166-1 alpha-2 country code
+    required: true,
+    uppercase: true,
+    match: /^[A-Z]{2}$/
+  },
+  type: {
+    type: String,
+    enum: ['stream', 'rent', 'buy'],
+    required: true
+  },
+  url: {
+    type: String,
+    default: null
+  },
+  validFrom: {
+    type: Date,
+    default: null // null means available already
+  },
+  validUntil: {
+    type: Date,
+    default: null // null means no announced end
+  }
+}, {
+  timestamps: true
+});
+
+// TMDB Sync Report Schema (what one sync run changed on one movie)
+const tmdbSyncReportSchema = new mongoose.Schema({
+  movieId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie',
+    required: true
+  },
+  tmdbId: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['updated', 'unchanged', 'not_found', 'failed'],
+    required: true
+  },
+  changes: [{
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  skippedFields: [{
+    type: String // overridden fields where TMDB had a different value
+  }],
+  error: {
+    type: String,
+    default: null
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Catalog Import Schema (outcome of a bulk catalog import, kept for its error report)
+const catalogImportSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  summary: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  results: [{
+    row: Number, // 1-based position among the data rows of the file
+    action: {
+      type: String,
+      enum: ['create', 'update', 'unchanged', 'error']
+    },
+    movieId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Movie',
+      default: null
+    },
+    title: String,
+    messages: [String]
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
   }
 }, {
   timestamps: true
@@ -193,12 +917,29 @@ const watchlistSchema = new mongoose.Schema({
 // Indexes for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 movieSchema.index({ title: 'text', synopsis: 'text' });
 movieSchema.index({ genre: 1 });
 movieSchema.index({ releaseYear: 1 });
 movieSchema.index({ averageRating: -1 });
 movieSchema.index({ tmdbId: 1 });
+movieSchema.index({ tmdbSyncedAt: 1 });
+movieSchema.index({ 'releaseDates.date': 1 });
+movieSchema.index({ 'credits.personId': 1 });
+movieSchema.index({ deletedAt: 1 });
+
+movieRevisionSchema.index({ movieId: 1, version: -1 }, { unique: true });
+
+// Name lookups ignore case and accents, see utils/people.js
+personSchema.index({ name: 1 }, { collation: { locale: 'en', strength: 1 } });
+personSchema.index({ aliases: 1 }, { collation: { locale: 'en', strength: 1 } });
 
 reviewSchema.index({ userId: 1, movieId: 1 }, { unique: true });
 reviewSchema.index({ movieId: 1, createdAt: -1 });
@@ -207,6 +948,34 @@ reviewSchema.index({ userId: 1, createdAt: -1 });
 watchlistSchema.index({ userId: 1, movieId: 1 }, { unique: true });
 watchlistSchema.index({ userId: 1, dateAdded: -1 });
 
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.index({ sessionId: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+loginChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+personalAccessTokenSchema.index({ userId: 1, createdAt: -1 });
+
+collectionSchema.index({ publishAt: 1, unpublishAt: 1, position: 1 });
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+catalogImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+
+availabilitySchema.index({ movieId: 1, region: 1, type: 1, provider: 1 }, { unique: true });
+availabilitySchema.index({ region: 1, type: 1, validFrom: 1, validUntil: 1 });
+
+tmdbSyncReportSchema.index({ movieId: 1, createdAt: -1 });
+tmdbSyncReportSchema.index({ status: 1, createdAt: -1 });
+
 // Static method to calculate average rating
 movieSchema.statics.calculateAverageRating = async function(movieId) {
   const result = await this.aggregate([
@@ -235,6 +1004,97 @@ movieSchema.statics.calculateAverageRating = async function(movieId) {
   }
 };
 
+// Uploaded variants only describe the URL they were uploaded with: when the
+// URL is replaced by other means (an edit, a TMDB sync) drop the variants.
+function dropStaleImages(pairs) {
+  return {
+    save() {
+      for (const [urlField, imagesField] of pairs) {
+        if (this.isModified(urlField) && !this.isModified(imagesField)) {
+          this.set(imagesField, null);
+        }
+      }
+    },
+    update() {
+      const update = this.getUpdate();
+      const fields = { ...update, ...update.$set };
+      for (const [urlField, imagesField] of pairs) {
+        if (fields[urlField] !== undefined && fields[imagesField] === undefined) {
+          this.set(imagesField, null);
+        }
+      }
+    }
+  };
+}
+
+const movieImageHooks = dropStaleImages([['posterUrl', 'posterImages'], ['backdropUrl', 'backdropImages']]);
+movieSchema.pre('save', movieImageHooks.save);
+movieSchema.pre('findOneAndUpdate', movieImageHooks.update);
+
+const userImageHooks = dropStaleImages([['profilePicture', 'profileImages']]);
+userSchema.pre('save', userImageHooks.save);
+userSchema.pre('findOneAndUpdate', userImageHooks.update);
+
+// Flag or unflag a movie's reviews and watchlist items when it is soft-deleted
+// or restored, so user listings can leave them out with movieDeleted: { $ne: true }
+movieSchema.statics.markDependentsDeleted = async function(movieId, deleted) {
+  await mongoose.model('Review').updateMany({ movieId }, { movieDeleted: deleted });
+  await mongoose.model('Watchlist').updateMany({ movieId }, { movieDeleted: deleted });
+};
+
+// Soft-deleted movies are left out of queries, and so out of populate too,
+// unless the query opts in with setOptions({ withDeleted: true })
+movieSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate'], function() {
+  if (!this.getOptions().withDeleted) {
+    this.where({ deletedAt: null });
+  }
+});
+
+// Aggregations always leave them out. The condition joins the first $match
+// rather than adding a stage, since $text has to stay in the first stage.
+movieSchema.pre('aggregate', function() {
+  const pipeline = this.pipeline();
+  if (pipeline[0]?.$match) {
+    pipeline[0].$match = { ...pipeline[0].$match, deletedAt: null };
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
+availabilitySchema.pre('validate', function() {
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'Valid until must be after valid from');
+  }
+});
+
+// Conditions for offers that are valid at the given time
+availabilitySchema.statics.currentFilter = function(now = new Date()) {
+  return {
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+      { $or: [{ validUntil: null }, { validUntil: { $gt: now } }] }
+    ]
+  };
+};
+
+// Ids of movies that can currently be watched in a region, optionally
+// only through the given offer types
+availabilitySchema.statics.availableMovieIds = function(region, types = [], now = new Date()) {
+  return this.distinct('movieId', {
+    region: region.toUpperCase(),
+    ...(types.length > 0 ? { type: { $in: types } } : {}),
+    ...this.currentFilter(now)
+  });
+};
+
+// Collections whose publish window includes the given time
+collectionSchema.statics.findActive = function(now = new Date()) {
+  return this.find({
+    publishAt: { $ne: null, $lte: now },
+    $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }]
+  }).sort({ position: 1, publishAt: -1 });
+};
+
 // Middleware to update average rating after review changes
 reviewSchema.post('save', async function() {
   await mongoose.model('Movie').calculateAverageRating(this.movieId);
@@ -248,14 +1108,44 @@ reviewSchema.post('findOneAndDelete', async function() {
 
 const User = mongoose.model('User', userSchema);
 const Movie = mongoose.model('Movie', movieSchema);
+const MovieRevision = mongoose.model('MovieRevision', movieRevisionSchema);
+const Person = mongoose.model('Person', personSchema);
+const Genre = mongoose.model('Genre', genreSchema);
+const Availability = mongoose.model('Availability', availabilitySchema);
 const Review = mongoose.model('Review', reviewSchema);
 const Watchlist = mongoose.model('Watchlist', watchlistSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+const OidcState = mongoose.model('OidcState', oidcStateSchema);
+const LoginChallenge = mongoose.model('LoginChallenge', loginChallengeSchema);
+const Collection = mongoose.model('Collection', collectionSchema);
+const TrendingSnapshot = mongoose.model('TrendingSnapshot', trendingSnapshotSchema);
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const TmdbSyncReport = mongoose.model('TmdbSyncReport', tmdbSyncReportSchema);
+const CatalogImport = mongoose.model('CatalogImport', catalogImportSchema);
 
 module.exports = {
   User,
   Movie,
+  MovieRevision,
+  Person,
+  Genre,
+  Availability,
   Review,
-  Watchlist
+  Watchlist,
+  Session,
+  RefreshToken,
+  OidcState,
+  LoginChallenge,
+  Collection,
+  TrendingSnapshot,
+  PersonalAccessToken,
+  LoginThrottle,
+  AuditLog,
+  TmdbSyncReport,
+  CatalogImport
 };
 
 
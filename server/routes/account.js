@@ -0,0 +1,194 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { User, Review, Watchlist } = require('../models');
+const { authMiddleware, requireSession } = require('../middleware/auth');
+const { revokeUserSessions } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+const { verifyTotpForUser } = require('../utils/twoFactor');
+
+const router = express.Router();
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+// How recently a sign-in must have happened to count as re-authentication
+const REAUTH_MAX_AGE_MINUTES = parseInt(process.env.REAUTH_MAX_AGE_MINUTES) || 10;
+
+// Confirm the user is present before deleting the account. Password accounts
+// give their password. Accounts signed in through an identity provider have an
+// unusable password, so they give a 2FA code instead or sign in again shortly
+// before. Returns an error message, or null when confirmed.
+async function checkDeletionReauth(user, req) {
+  if (user.identities.length === 0) {
+    if (!req.body.password) {
+      return 'Password is required';
+    }
+    return await user.comparePassword(req.body.password) ? null : 'Invalid credentials';
+  }
+
+  if (req.body.code) {
+    if (!user.twoFactorEnabled) {
+      return 'Two-factor authentication is not enabled';
+    }
+    return await verifyTotpForUser(user._id, req.body.code) ? null : 'Invalid code';
+  }
+
+  const signedInAt = req.authSession.createdAt;
+  if (signedInAt && Date.now() - signedInAt.getTime() <= REAUTH_MAX_AGE_MINUTES * 60 * 1000) {
+    return null;
+  }
+  return user.twoFactorEnabled
+    ? 'Enter a two-factor code or sign in again to confirm'
+    : `Sign in again to confirm; deleting the account needs a sign-in from the last ${REAUTH_MAX_AGE_MINUTES} minutes`;
+}
+
+// @route   DELETE /api/auth/account
+// @desc    Schedule the current account for deletion after a grace period
+// @access  Private
+router.delete('/', [
+  authMiddleware,
+  requireSession,
+  body('password').optional().isString().withMessage('Password must be a string'),
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('reviewMode')
+    .optional()
+    .isIn(['anonymize', 'delete'])
+    .withMessage('Review mode must be anonymize or delete')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const reauthProblem = await checkDeletionReauth(user, req);
+    if (reauthProblem) {
+      return res.status(400).json({ message: reauthProblem });
+    }
+
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        message: 'Account is already scheduled for deletion',
+        deletionScheduledFor: user.deletionScheduledFor
+      });
+    }
+
+    user.deletionScheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    user.deletionReviewMode = req.body.reviewMode || 'anonymize';
+    await user.save();
+
+    // Sign the account out everywhere. Deletion goes ahead unless the user
+    // logs back in and cancels it.
+    await revokeUserSessions(user._id, 'account_deletion');
+
+    await recordAudit({
+      action: 'account_deletion_scheduled',
+      userId: user._id,
+      actorId: user._id,
+      ip: req.ip,
+      details: { deletionScheduledFor: user.deletionScheduledFor, reviewMode: user.deletionReviewMode }
+    });
+
+    res.json({
+      message: `Account scheduled for deletion. To keep your account, log in and cancel the deletion within ${ACCOUNT_DELETION_GRACE_DAYS} days.`,
+      deletionScheduledFor: user.deletionScheduledFor,
+      reviewMode: user.deletionReviewMode
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/account/cancel-deletion
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.post('/cancel-deletion', [authMiddleware, requireSession], async (req, res) => {
+  try {
+    if (!req.user.deletionScheduledFor) {
+      return res.status(400).json({ message: 'Account is not scheduled for deletion' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, {
+      deletionScheduledFor: null,
+      deletionReviewMode: null
+    });
+
+    await recordAudit({
+      action: 'account_deletion_cancelled',
+      userId: req.user._id,
+      actorId: req.user._id,
+      ip: req.ip
+    });
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/account/export
+// @desc    Download a JSON archive of the current user's data
+// @access  Private
+router.get('/export', [authMiddleware, requireSession], async (req, res) => {
+  try {
+    const user = req.user;
+
+    const reviews = await Review.find({ userId: user._id })
+      .populate({ path: 'movieId', select: 'title releaseYear', options: { withDeleted: true } })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const watchlist = await Watchlist.find({ userId: user._id })
+      .populate({ path: 'movieId', select: 'title releaseYear', options: { withDeleted: true } })
+      .sort({ dateAdded: -1 })
+      .lean();
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      profile: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        profilePicture: user.profilePicture,
+        profileImages: user.profileImages,
+        joinDate: user.joinDate,
+        roles: user.roles,
+        twoFactorEnabled: user.twoFactorEnabled,
+        linkedIdentities: user.identities.map(identity => ({
+          provider: identity.provider,
+          email: identity.email,
+          linkedAt: identity.linkedAt
+        })),
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      },
+      reviews: reviews.map(review => ({
+        id: review._id,
+        movie: review.movieId ? { id: review.movieId._id, title: review.movieId.title, releaseYear: review.movieId.releaseYear } : null,
+        rating: review.rating,
+        reviewText: review.reviewText,
+        helpfulVotes: review.helpfulVotes,
+        createdAt: review.createdAt,
+        updatedAt: review.updatedAt
+      })),
+      watchlist: watchlist.map(item => ({
+        movie: item.movieId ? { id: item.movieId._id, title: item.movieId.title, releaseYear: item.movieId.releaseYear } : null,
+        status: item.status,
+        dateAdded: item.dateAdded
+      }))
+    };
+
+    res.set('Content-Disposition', `attachment; filename="account-export-${user.username}.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { User, Movie, AuditLog, TmdbSyncReport } = require('../models');
+const { authMiddleware, requirePermission, requireSession } = require('../middleware/auth');
+const { ROLE_PERMISSIONS, ROLES } = require('../utils/permissions');
+const { clearLoginFailures } = require('../utils/loginThrottle');
+const { recordAudit } = require('../utils/audit');
+const { isConfigured: isTmdbConfigured } = require('../utils/tmdb');
+const { syncMovie, startSync, isSyncRunning } = require('../jobs/tmdbSync');
+const { invalidateAutocompleteIndex } = require('../utils/autocomplete');
+const { invalidateSimilarCache } = require('../utils/similar');
+
+const router = express.Router();
+
+// @route   GET /api/admin/roles
+// @desc    List roles and the permissions they grant
+// @access  Private (user:manage)
+router.get('/roles', [authMiddleware, requireSession, requirePermission('user:manage')], (req, res) => {
+  res.json({ roles: ROLE_PERMISSIONS });
+});
+
+// @route   PUT /api/admin/users/:id/roles
+// @desc    Replace a user's roles
+// @access  Private (user:manage)
+router.put('/users/:id/roles', [
+  authMiddleware,
+  requireSession,
+  requirePermission('user:manage'),
+  body('roles').isArray().withMessage('Roles must be an array'),
+  body('roles.*').isIn(ROLES).withMessage(`Roles must be one of: ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const roles = [...new Set(req.body.roles)];
+
+    // Don't let an admin lock themselves out
+    if (id === req.user._id.toString() && req.user.isAdmin && !roles.includes('admin')) {
+      return res.status(400).json({ message: 'You cannot remove your own admin role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      id,
+      { roles },
+      { new: true, runValidators: true, select: '-password' }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: 'Roles updated successfully',
+      user: {
+        id: user._id,
+        username: user.username,
+        roles: user.roles
+      }
+    });
+  } catch (error) {
+    console.error('Update roles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Clear a login lockout on an account
+// @access  Private (user:manage)
+router.post('/users/:id/unlock', [authMiddleware, requireSession, requirePermission('user:manage')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await clearLoginFailures(user.email);
+
+    await recordAudit({
+      action: 'account_unlocked',
+      userId: user._id,
+      actorId: req.user._id,
+      ip: req.ip
+    });
+
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/audit-logs
+// @desc    Browse audit log entries
+// @access  Private (user:manage)
+router.get('/audit-logs', [
+  authMiddleware,
+  requireSession,
+  requirePermission('user:manage'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('action').optional().isString().withMessage('Action must be a string'),
+  query('userId').optional().isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.userId) filter.userId = req.query.userId;
+
+    const logs = await AuditLog.find(filter)
+      .populate('userId', 'username email')
+      .populate('actorId', 'username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await AuditLog.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      logs,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalLogs: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/tmdb-sync
+// @desc    Start a TMDB metadata sync of every imported movie
+// @access  Private (movie:write)
+router.post('/tmdb-sync', [authMiddleware, requireSession, requirePermission('movie:write')], (req, res) => {
+  if (!isTmdbConfigured()) {
+    return res.status(500).json({ message: 'TMDB API key not configured' });
+  }
+
+  const sync = startSync({}, { trigger: 'manual', triggeredBy: req.user._id });
+  if (!sync) {
+    return res.status(409).json({ message: 'A TMDB sync is already running' });
+  }
+
+  sync
+    .then(summary => console.log('Manual TMDB sync finished:', summary))
+    .catch(error => console.error('Manual TMDB sync error:', error));
+
+  res.status(202).json({ message: 'TMDB sync started' });
+});
+
+// @route   GET /api/admin/tmdb-sync/status
+// @desc    Check whether a TMDB sync is running
+// @access  Private (movie:write)
+router.get('/tmdb-sync/status', [authMiddleware, requireSession, requirePermission('movie:write')], (req, res) => {
+  res.json({ running: isSyncRunning() });
+});
+
+// @route   POST /api/admin/tmdb-sync/movies/:id
+// @desc    Sync one movie from TMDB and return its change report
+// @access  Private (movie:write)
+router.post('/tmdb-sync/movies/:id', [authMiddleware, requireSession, requirePermission('movie:write')], async (req, res) => {
+  try {
+    if (!isTmdbConfigured()) {
+      return res.status(500).json({ message: 'TMDB API key not configured' });
+    }
+
+    const movie = await Movie.findById(req.params.id);
+    if (!movie) {
+      return res.status(404).json({ message: 'Movie not found' });
+    }
+    if (!movie.tmdbId) {
+      return res.status(400).json({ message: 'Movie was not imported from TMDB' });
+    }
+
+    const report = await syncMovie(movie, { trigger: 'manual', triggeredBy: req.user._id });
+    if (report.status === 'updated') {
+      invalidateAutocompleteIndex();
+      invalidateSimilarCache();
+    }
+
+    res.json({ report });
+  } catch (error) {
+    console.error('Sync TMDB movie error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/tmdb-sync/reports
+// @desc    Browse TMDB sync change reports
+// @access  Private (movie:write)
+router.get('/tmdb-sync/reports', [
+  authMiddleware,
+  requireSession,
+  requirePermission('movie:write'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('movieId').optional().isMongoId().withMessage('Valid movie ID is required'),
+  query('status').optional().isIn(['updated', 'unchanged', 'not_found', 'failed']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.movieId) filter.movieId = req.query.movieId;
+    if (req.query.status) filter.status = req.query.status;
+
+    const reports = await TmdbSyncReport.find(filter)
+      .populate('movieId', 'title releaseYear')
+      .populate('triggeredBy', 'username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await TmdbSyncReport.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      reports,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalReports: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get TMDB sync reports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,56 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const { User } = require('../models');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireScope, requireSession } = require('../middleware/auth');
+const {
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { deleteImage } = require('../utils/images');
+const { revokeUserTokens } = require('../utils/personalAccessTokens');
+const { getPermissions } = require('../utils/permissions');
+const {
+  getLoginRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../utils/loginThrottle');
+const {
+  isVerificationRequired,
+  sendVerificationEmail,
+  verifyEmailToken
+} = require('../utils/emailVerification');
+const {
+  isTwoFactorRequiredForAdmins,
+  createLoginChallenge,
+  findLoginChallenge,
+  recordChallengeFailure,
+  consumeLoginChallenge,
+  verifySecondFactor
+} = require('../utils/twoFactor');
 
 const router = express.Router();
 
-// Generate JWT token
-function generateToken(user) {
-  return jwt.sign(
-    { _id: user._id, email: user.email, isAdmin: user.isAdmin },
-    process.env.JWT_SECRET,  // 🔹 This must not be undefined
-    { expiresIn: '7d' }
-  );
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Reject the request with 429 if the account or IP is being throttled
+async function rejectIfThrottled(req, res, email) {
+  const retryAfter = await getLoginRetryAfter(email, req.ip);
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      message: 'Too many failed login attempts. Please try again later.',
+      retryAfter
+    });
+    return true;
+  }
+  return false;
 }
 
 // @route   POST /api/auth/register
@@ -63,16 +101,26 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Ask the user to confirm their address. The account exists now either
+    // way; if the mail fails they can use the resend endpoint.
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         joinDate: user.joinDate
       }
     });
@@ -105,31 +153,53 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    if (await rejectIfThrottled(req, res, email)) {
+      return;
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginFailure(email, req.ip);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(email, req.ip, user._id);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Accounts with 2FA only get a challenge until the code is verified
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: await createLoginChallenge(user)
+      });
+    }
+
+    await clearLoginFailures(email);
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
+      twoFactorSetupRequired: user.isAdmin && isTwoFactorRequiredForAdmins(),
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         profilePicture: user.profilePicture,
+        profileImages: user.profileImages,
         joinDate: user.joinDate,
-        isAdmin: user.isAdmin
+        isAdmin: user.isAdmin,
+        roles: user.roles
       }
     });
   } catch (error) {
@@ -138,19 +208,324 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await findLoginChallenge(req.body.challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    if (await rejectIfThrottled(req, res, user.email)) {
+      return;
+    }
+
+    const isValid = await verifySecondFactor(user._id, req.body);
+    if (!isValid) {
+      await recordChallengeFailure(challenge);
+      await recordLoginFailure(user.email, req.ip, user._id);
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    // Each challenge completes one login
+    if (!await consumeLoginChallenge(challenge)) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    await clearLoginFailures(user.email);
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        profilePicture: user.profilePicture,
+        profileImages: user.profileImages,
+        joinDate: user.joinDate,
+        isAdmin: user.isAdmin,
+        roles: user.roles
+      }
+    });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken);
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the session a refresh token belongs to
+// @access  Public
+router.post('/logout', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await findSessionByRefreshToken(req.body.refreshToken);
+    if (session) {
+      await revokeSession(session._id, 'logout');
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    // Respond the same way whether or not the account exists
+    const genericResponse = { message: 'If that email is registered, a password reset link has been sent' };
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    await User.updateOne({ _id: user._id }, {
+      passwordResetTokenHash: hashToken(resetToken),
+      passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    });
+
+    // A delivery failure must look like any other request, or it would
+    // reveal that the address is registered
+    const resetUrl = `${CLIENT_URL}/reset-password?token=${resetToken}`;
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.username},\n\nUse the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.\n\n${resetUrl}\n\nIf you didn't request this, you can ignore this email.`
+      });
+    } catch (error) {
+      console.error('Password reset email error:', error);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    // Claim the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { passwordResetTokenHash: null, passwordResetExpires: null }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Sign the account out everywhere, including apps using its access tokens
+    await revokeUserSessions(user._id, 'password_reset');
+    await revokeUserTokens(user._id);
+
+    // The password is already changed, so a failed notice doesn't fail the request
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your password was changed',
+        text: `Hi ${user.username},\n\nThe password for your account was just changed and all devices and access tokens were signed out. If this wasn't you, reset your password again right away.`
+      });
+    } catch (error) {
+      console.error('Password changed email error:', error);
+    }
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using a verification token
+// @access  Public
+router.post('/verify-email', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await verifyEmailToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification token is invalid or has expired' });
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email to the current user
+// @access  Private
+router.post('/resend-verification', [authMiddleware, requireSession], async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', authMiddleware, async (req, res) => {
+router.get('/me', [authMiddleware, requireScope('profile:read')], async (req, res) => {
   try {
     res.json({
       user: {
         id: req.user._id,
         username: req.user.username,
         email: req.user.email,
+        emailVerified: req.user.emailVerified,
         profilePicture: req.user.profilePicture,
+        profileImages: req.user.profileImages,
         joinDate: req.user.joinDate,
-        isAdmin: req.user.isAdmin
+        isAdmin: req.user.isAdmin,
+        roles: req.user.roles,
+        permissions: [...getPermissions(req.user)],
+        deletionScheduledFor: req.user.deletionScheduledFor
       }
     });
   } catch (error) {
@@ -164,6 +539,7 @@ router.get('/me', authMiddleware, async (req, res) => {
 // @access  Private
 router.put('/profile', [
   authMiddleware,
+  requireScope('profile:write'),
   body('username')
     .optional()
     .isLength({ min: 3, max: 30 })
@@ -187,10 +563,23 @@ router.put('/profile', [
 
     const { username, email, profilePicture } = req.body;
     const updateData = {};
+    const emailChanged = email && email !== req.user.email;
+    // The email is where password resets go, so only a signed-in session may change it
+    if (emailChanged && req.tokenScopes) {
+      return res.status(403).json({ message: 'Email changes are not available to personal access tokens' });
+    }
+
+    if (emailChanged && isVerificationRequired() && !req.user.emailVerified) {
+      return res.status(403).json({ message: 'Please verify your current email address before changing it' });
+    }
 
     if (username) updateData.username = username;
-    if (email) updateData.email = email;
-    if (profilePicture !== undefined) updateData.profilePicture = profilePicture;
+    if (emailChanged) {
+      updateData.email = email;
+      updateData.emailVerified = false;
+    }
+    const pictureChanged = profilePicture !== undefined && profilePicture !== req.user.profilePicture;
+    if (pictureChanged) updateData.profilePicture = profilePicture;
 
     // Check if username or email already exists (excluding current user)
     if (username || email) {
@@ -215,15 +604,34 @@ router.put('/profile', [
       { new: true, select: '-password' }
     );
 
+    // A replaced picture takes its uploaded variants with it, and profiles
+    // keep no history, so their files can go
+    if (pictureChanged) {
+      await deleteImage(req.user.profileImages);
+    }
+
+    // A new address has to be confirmed again. The update is already saved,
+    // so a failed mail is only logged; the resend endpoint can send it again.
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Verification email error:', error);
+      }
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         profilePicture: user.profilePicture,
+        profileImages: user.profileImages,
         joinDate: user.joinDate,
-        isAdmin: user.isAdmin
+        isAdmin: user.isAdmin,
+        roles: user.roles
       }
     });
   } catch (error) {
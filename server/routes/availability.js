@@ -0,0 +1,200 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Availability, Movie } = require('../models');
+const { authMiddleware, requirePermission, requireScope } = require('../middleware/auth');
+
+// Mounted at /api/movies/:movieId/availability
+const router = express.Router({ mergeParams: true });
+
+const OFFER_TYPES = ['stream', 'rent', 'buy'];
+
+const availabilityValidators = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('provider').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Provider must be between 1 and 100 characters'),
+    field('region').matches(/^[a-zA-Z]{2}$/).withMessage('Region must be a two-letter country code'),
+    field('type').isIn(OFFER_TYPES).withMessage('Type must be stream, rent or buy'),
+    body('url').optional({ values: 'null' }).isURL().withMessage('Link must be a valid URL'),
+    body('validFrom').optional({ values: 'null' }).isISO8601().withMessage('Valid from must be a valid date'),
+    body('validUntil').optional({ values: 'null' }).isISO8601().withMessage('Valid until must be a valid date')
+  ];
+};
+
+// Copy the editable fields from a request body
+function availabilityData(body) {
+  const data = {};
+  for (const field of ['provider', 'region', 'type']) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  if (body.url !== undefined) data.url = body.url || null;
+  for (const field of ['validFrom', 'validUntil']) {
+    if (body[field] !== undefined) data[field] = body[field] ? new Date(body[field]) : null;
+  }
+  return data;
+}
+
+// Save an offer, turning model validation and duplicate errors into a 400 message.
+// Returns the message, or null when saved.
+async function saveAvailability(availability) {
+  try {
+    await availability.save();
+    return null;
+  } catch (error) {
+    if (error.code === 11000) {
+      return 'This provider already has an offer of that type in this region';
+    }
+    if (error.name === 'ValidationError') {
+      return Object.values(error.errors).map(item => item.message).join(', ');
+    }
+    throw error;
+  }
+}
+
+// @route   GET /api/movies/:movieId/availability
+// @desc    Get where a movie can currently be watched
+// @access  Public
+router.get('/', [
+  query('region').optional().matches(/^[a-zA-Z]{2}$/).withMessage('Region must be a two-letter country code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!await Movie.exists({ _id: req.params.movieId })) {
+      return res.status(404).json({ message: 'Movie not found' });
+    }
+
+    const filter = { movieId: req.params.movieId, ...Availability.currentFilter() };
+    if (req.query.region) {
+      filter.region = req.query.region.toUpperCase();
+    }
+
+    const availability = await Availability.find(filter)
+      .select('provider region type url validUntil')
+      .sort({ region: 1, type: 1, provider: 1 })
+      .lean();
+
+    res.json({ availability });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/movies/:movieId/availability/manage
+// @desc    Get every offer for a movie including scheduled and expired ones
+// @access  Private (movie:write)
+router.get('/manage', [authMiddleware, requireScope('movies:read'), requirePermission('movie:write')], async (req, res) => {
+  try {
+    const availability = await Availability.find({ movieId: req.params.movieId })
+      .sort({ region: 1, type: 1, provider: 1 })
+      .lean();
+
+    res.json({ availability });
+  } catch (error) {
+    console.error('Get all availability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/movies/:movieId/availability
+// @desc    Add an offer for a movie
+// @access  Private (movie:write)
+router.post('/', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('movie:write'),
+  ...availabilityValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!await Movie.exists({ _id: req.params.movieId })) {
+      return res.status(404).json({ message: 'Movie not found' });
+    }
+
+    const availability = new Availability({ ...availabilityData(req.body), movieId: req.params.movieId });
+    const problem = await saveAvailability(availability);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    res.status(201).json({
+      message: 'Availability added successfully',
+      availability
+    });
+  } catch (error) {
+    console.error('Create availability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/movies/:movieId/availability/:id
+// @desc    Update an offer
+// @access  Private (movie:write)
+router.put('/:id', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('movie:write'),
+  ...availabilityValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const availability = await Availability.findOne({ _id: req.params.id, movieId: req.params.movieId });
+    if (!availability) {
+      return res.status(404).json({ message: 'Availability not found' });
+    }
+
+    availability.set(availabilityData(req.body));
+    const problem = await saveAvailability(availability);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    res.json({
+      message: 'Availability updated successfully',
+      availability
+    });
+  } catch (error) {
+    console.error('Update availability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/movies/:movieId/availability/:id
+// @desc    Remove an offer
+// @access  Private (movie:write)
+router.delete('/:id', [authMiddleware, requireScope('movies:write'), requirePermission('movie:write')], async (req, res) => {
+  try {
+    const availability = await Availability.findOneAndDelete({ _id: req.params.id, movieId: req.params.movieId });
+
+    if (!availability) {
+      return res.status(404).json({ message: 'Availability not found' });
+    }
+
+    res.json({ message: 'Availability removed successfully' });
+  } catch (error) {
+    console.error('Delete availability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { Movie, CatalogImport } = require('../models');
+const { authMiddleware, requirePermission, requireScope } = require('../middleware/auth');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { EXPORT_COLUMNS, MAX_IMPORT_ROWS, toExportRecord, importCatalog } = require('../utils/catalog');
+
+const router = express.Router();
+
+const REPORT_COLUMNS = ['row', 'title', 'action', 'movieId', 'messages'];
+
+function sendFile(res, format, filename, rows, columns) {
+  res.attachment(`${filename}.${format}`);
+  if (format === 'csv') {
+    res.type('text/csv').send(toCsv(rows, columns));
+  } else {
+    res.json(rows);
+  }
+}
+
+// @route   GET /api/admin/catalog/export
+// @desc    Download the catalog as CSV or JSON
+// @access  Private (movie:write)
+router.get('/export', [
+  authMiddleware,
+  requireScope('movies:read'),
+  requirePermission('movie:write'),
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const movies = await Movie.find({})
+      .select(EXPORT_COLUMNS.slice(1).join(' '))
+      .sort({ title: 1, releaseYear: 1 })
+      .lean();
+
+    const date = new Date().toISOString().slice(0, 10);
+    sendFile(res, format, `catalog-${date}`, movies.map(movie => toExportRecord(movie, format)), EXPORT_COLUMNS);
+  } catch (error) {
+    console.error('Export catalog error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/catalog/import
+// @desc    Create or update movies from a CSV (text/csv) or JSON body;
+//          rows match existing movies by tmdbId, imdbId, then title and year
+// @access  Private (movie:write)
+router.post('/import', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('movie:write'),
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let format;
+    let records;
+    if (req.is('text/csv')) {
+      format = 'csv';
+      try {
+        records = parseCsv(req.body || '');
+      } catch (error) {
+        return res.status(400).json({ message: `Invalid CSV: ${error.message}` });
+      }
+    } else {
+      format = 'json';
+      records = Array.isArray(req.body) ? req.body : req.body?.movies;
+      if (!Array.isArray(records)) {
+        return res.status(400).json({ message: 'Send a CSV file as text/csv, or a JSON array of movies' });
+      }
+    }
+
+    if (records.length === 0) {
+      return res.status(400).json({ message: 'The file has no rows' });
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Imports are limited to ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const report = await importCatalog(records, {
+      format,
+      dryRun: req.query.dryRun === 'true',
+      authorId: req.user._id
+    });
+
+    res.status(report.dryRun ? 200 : 201).json({
+      message: report.dryRun ? 'Dry run complete, nothing was saved' : 'Import complete',
+      importId: report._id,
+      dryRun: report.dryRun,
+      summary: report.summary,
+      errorReportUrl: report.summary.failed > 0
+        ? `${req.baseUrl}/imports/${report._id}/errors`
+        : null,
+      results: report.results
+    });
+  } catch (error) {
+    console.error('Import catalog error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/catalog/imports/:id
+// @desc    Get the outcome of an import
+// @access  Private (movie:write)
+router.get('/imports/:id', [authMiddleware, requireScope('movies:read'), requirePermission('movie:write')], async (req, res) => {
+  try {
+    const report = await CatalogImport.findById(req.params.id)
+      .populate('createdBy', 'username')
+      .lean();
+
+    if (!report) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    res.json({ import: report });
+  } catch (error) {
+    console.error('Get catalog import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/catalog/imports/:id/errors
+// @desc    Download the rows of an import that failed, with the reasons
+// @access  Private (movie:write)
+router.get('/imports/:id/errors', [
+  authMiddleware,
+  requireScope('movies:read'),
+  requirePermission('movie:write'),
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await CatalogImport.findById(req.params.id).lean();
+    if (!report) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const format = req.query.format || report.format;
+    const rows = report.results
+      .filter(result => result.action === 'error')
+      .map(result => ({
+        row: result.row,
+        title: result.title,
+        action: result.action,
+        movieId: result.movieId,
+        messages: format === 'csv' ? result.messages.join('; ') : result.messages
+      }));
+
+    sendFile(res, format, `catalog-import-${report._id}-errors`, rows, REPORT_COLUMNS);
+  } catch (error) {
+    console.error('Get import error report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,329 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Collection, Movie } = require('../models');
+const { authMiddleware, requirePermission, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MOVIE_FIELDS = 'title posterUrl posterImages backdropUrl backdropImages releaseYear averageRating totalReviews genre';
+
+// "Best of 90's Sci-Fi!" -> "best-of-90-s-sci-fi"
+function slugify(text) {
+  return text
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 100);
+}
+
+// Shape a populated collection for responses, dropping movies that no longer exist
+function formatCollection(collection) {
+  return {
+    id: collection._id,
+    title: collection.title,
+    slug: collection.slug,
+    description: collection.description,
+    position: collection.position,
+    publishAt: collection.publishAt,
+    unpublishAt: collection.unpublishAt,
+    movies: collection.movies
+      .filter(item => item.movieId)
+      .map(item => ({ ...item.movieId, note: item.note }))
+  };
+}
+
+// Every id must be a known movie; returns the first unknown id, or null
+async function findMissingMovie(movieIds) {
+  const found = await Movie.find({ _id: { $in: movieIds } }).select('_id').lean();
+  const foundIds = new Set(found.map(movie => movie._id.toString()));
+  return movieIds.find(id => !foundIds.has(id.toString())) || null;
+}
+
+const collectionValidators = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+    body('slug').optional().matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug can only contain lowercase letters, numbers and dashes'),
+    body('description').optional().isString().isLength({ max: 2000 }).withMessage('Description must be at most 2000 characters'),
+    body('movies').optional().isArray().withMessage('Movies must be an array'),
+    body('movies.*.movieId').optional().isMongoId().withMessage('Valid movie ID is required'),
+    body('movies.*.note').optional({ values: 'null' }).isString().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+    body('position').optional().isInt().withMessage('Position must be an integer'),
+    body('publishAt').optional({ values: 'null' }).isISO8601().withMessage('Publish date must be a valid date'),
+    body('unpublishAt').optional({ values: 'null' }).isISO8601().withMessage('Unpublish date must be a valid date')
+  ];
+};
+
+// Copy the editable fields from a request body
+function collectionData(body) {
+  const data = {};
+  for (const field of ['title', 'slug', 'description', 'position']) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  for (const field of ['publishAt', 'unpublishAt']) {
+    if (body[field] !== undefined) data[field] = body[field] ? new Date(body[field]) : null;
+  }
+  if (body.movies !== undefined) {
+    data.movies = body.movies.map(item => ({ movieId: item.movieId, note: item.note || null }));
+  }
+  return data;
+}
+
+// A collection has to go live before it comes down again
+function scheduleProblem({ publishAt, unpublishAt }) {
+  if (publishAt && unpublishAt && publishAt >= unpublishAt) {
+    return 'Unpublish date must be after the publish date';
+  }
+  return null;
+}
+
+// @route   GET /api/collections
+// @desc    Get all currently active collections
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const collections = await Collection.findActive()
+      .populate('movies.movieId', MOVIE_FIELDS)
+      .lean();
+
+    res.json({ collections: collections.map(formatCollection) });
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/collections/manage
+// @desc    Get every collection including drafts and expired ones
+// @access  Private (collection:write)
+router.get('/manage', [authMiddleware, requireScope('movies:read'), requirePermission('collection:write')], async (req, res) => {
+  try {
+    const collections = await Collection.find({})
+      .sort({ position: 1, createdAt: -1 })
+      .lean();
+
+    res.json({
+      collections: collections.map(collection => ({
+        id: collection._id,
+        title: collection.title,
+        slug: collection.slug,
+        position: collection.position,
+        publishAt: collection.publishAt,
+        unpublishAt: collection.unpublishAt,
+        movieCount: collection.movies.length,
+        updatedAt: collection.updatedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get all collections error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/collections/:slug
+// @desc    Get an active collection by slug
+// @access  Public
+router.get('/:slug', async (req, res) => {
+  try {
+    const collection = await Collection.findActive()
+      .findOne({ slug: req.params.slug.toLowerCase() })
+      .populate('movies.movieId', MOVIE_FIELDS)
+      .lean();
+
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    res.json({ collection: formatCollection(collection) });
+  } catch (error) {
+    console.error('Get collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/collections
+// @desc    Create a collection
+// @access  Private (collection:write)
+router.post('/', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('collection:write'),
+  ...collectionValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = collectionData(req.body);
+    data.slug = data.slug || slugify(data.title);
+    if (!data.slug) {
+      return res.status(400).json({ message: 'Could not derive a slug from the title, please provide one' });
+    }
+
+    const problem = scheduleProblem(data);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    if (await Collection.exists({ slug: data.slug })) {
+      return res.status(400).json({ message: 'Slug already in use' });
+    }
+
+    if (data.movies) {
+      const missing = await findMissingMovie(data.movies.map(item => item.movieId));
+      if (missing) {
+        return res.status(400).json({ message: `Movie not found: ${missing}` });
+      }
+    }
+
+    const collection = new Collection({ ...data, createdBy: req.user._id });
+    await collection.save();
+
+    res.status(201).json({
+      message: 'Collection created successfully',
+      collection
+    });
+  } catch (error) {
+    console.error('Create collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/collections/:id
+// @desc    Update a collection
+// @access  Private (collection:write)
+router.put('/:id', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('collection:write'),
+  ...collectionValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = collectionData(req.body);
+
+    // Dates left out of the request keep their current values
+    if (data.publishAt !== undefined || data.unpublishAt !== undefined) {
+      const current = await Collection.findById(req.params.id).select('publishAt unpublishAt').lean();
+      if (!current) {
+        return res.status(404).json({ message: 'Collection not found' });
+      }
+      const problem = scheduleProblem({ ...current, ...data });
+      if (problem) {
+        return res.status(400).json({ message: problem });
+      }
+    }
+
+    if (data.slug && await Collection.exists({ slug: data.slug, _id: { $ne: req.params.id } })) {
+      return res.status(400).json({ message: 'Slug already in use' });
+    }
+
+    if (data.movies) {
+      const missing = await findMissingMovie(data.movies.map(item => item.movieId));
+      if (missing) {
+        return res.status(400).json({ message: `Movie not found: ${missing}` });
+      }
+    }
+
+    const collection = await Collection.findByIdAndUpdate(
+      req.params.id,
+      data,
+      { new: true, runValidators: true }
+    );
+
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    res.json({
+      message: 'Collection updated successfully',
+      collection
+    });
+  } catch (error) {
+    console.error('Update collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/collections/:id/order
+// @desc    Reorder the movies in a collection
+// @access  Private (collection:write)
+router.put('/:id/order', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('collection:write'),
+  body('movieIds').isArray().withMessage('Movie IDs must be an array'),
+  body('movieIds.*').isMongoId().withMessage('Valid movie ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    // The new order must contain exactly the movies already in the collection
+    const { movieIds } = req.body;
+    const current = collection.movies.map(item => item.movieId.toString());
+    const isPermutation = movieIds.length === current.length &&
+      new Set(movieIds).size === movieIds.length &&
+      movieIds.every(id => current.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({ message: 'Movie IDs must list every movie in the collection exactly once' });
+    }
+
+    const itemsById = new Map(collection.movies.map(item => [item.movieId.toString(), item]));
+    collection.movies = movieIds.map(id => itemsById.get(id).toObject());
+    await collection.save();
+
+    res.json({
+      message: 'Collection reordered successfully',
+      collection
+    });
+  } catch (error) {
+    console.error('Reorder collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/collections/:id
+// @desc    Delete a collection
+// @access  Private (collection:write)
+router.delete('/:id', [authMiddleware, requireScope('movies:write'), requirePermission('collection:write')], async (req, res) => {
+  try {
+    const collection = await Collection.findByIdAndDelete(req.params.id);
+
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { Genre, Movie } = require('../models');
+const { authMiddleware, requirePermission, requireScope } = require('../middleware/auth');
+const { normalizeLocale, requestedLocales, loadGenreLabels, genreLabel } = require('../utils/i18n');
+
+const router = express.Router();
+
+// @route   GET /api/genres
+// @desc    Get the genres used in the catalog with labels in the requested language
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const counts = await Movie.aggregate([
+      { $unwind: '$genre' },
+      { $group: { _id: '$genre', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const locales = requestedLocales(req);
+    const labelsByGenre = await loadGenreLabels(counts.map(genre => genre._id));
+
+    res.vary('Accept-Language');
+    res.json({
+      genres: counts.map(genre => ({
+        name: genre._id,
+        label: genreLabel(genre._id, labelsByGenre, locales),
+        count: genre.count,
+        labels: labelsByGenre.get(genre._id) || []
+      }))
+    });
+  } catch (error) {
+    console.error('Get genres error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/genres/:name/translations/:locale
+// @desc    Set the label of a genre for one locale
+// @access  Private (movie:write)
+router.put('/:name/translations/:locale', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('movie:write'),
+  param('locale').custom(value => normalizeLocale(value) !== null).withMessage('Locale must be a language tag such as fr or pt-BR'),
+  body('label').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Label must be between 1 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.params;
+    if (!await Movie.exists({ genre: name })) {
+      return res.status(404).json({ message: 'Genre not found' });
+    }
+
+    const locale = normalizeLocale(req.params.locale);
+    const genre = await Genre.findOne({ name }) || new Genre({ name });
+
+    const index = genre.labels.findIndex(entry => entry.locale === locale);
+    if (index === -1) {
+      genre.labels.push({ locale, label: req.body.label });
+    } else {
+      genre.labels.set(index, { locale, label: req.body.label });
+    }
+    await genre.save();
+
+    res.json({
+      message: 'Genre label saved successfully',
+      genre: { name: genre.name, labels: genre.labels }
+    });
+  } catch (error) {
+    console.error('Save genre label error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/genres/:name/translations/:locale
+// @desc    Remove the label of a genre for one locale
+// @access  Private (movie:write)
+router.delete('/:name/translations/:locale', [authMiddleware, requireScope('movies:write'), requirePermission('movie:write')], async (req, res) => {
+  try {
+    const locale = normalizeLocale(req.params.locale);
+    const genre = await Genre.findOneAndUpdate(
+      { name: req.params.name, 'labels.locale': locale },
+      { $pull: { labels: { locale } } },
+      { new: true }
+    );
+
+    if (!genre) {
+      return res.status(404).json({ message: 'Genre label not found' });
+    }
+
+    res.json({
+      message: 'Genre label removed successfully',
+      genre: { name: genre.name, labels: genre.labels }
+    });
+  } catch (error) {
+    console.error('Delete genre label error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
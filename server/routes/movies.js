@@ -1,25 +1,107 @@
 const express = require('express');
-const axios = require('axios');
-const { body, validationResult, query } = require('express-validator');
-const { Movie, Review } = require('../models');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { body, param, validationResult, query } = require('express-validator');
+const { Movie, MovieRevision, Review, Collection, TrendingSnapshot, Availability } = require('../models');
+const { authMiddleware, requirePermission, requireScope } = require('../middleware/auth');
+const { suggest, invalidateAutocompleteIndex } = require('../utils/autocomplete');
+const { TRENDING_WINDOWS, computeTrending } = require('../jobs/trending');
+const tmdb = require('../utils/tmdb');
+const { linkCredits } = require('../utils/people');
+const { snapshotOf, diffSnapshots, recordRevision } = require('../utils/revisions');
+const { purgeDate, purgeMovie } = require('../jobs/moviePurge');
+const { imageUpload } = require('../middleware/upload');
+const { inspectImage, storeImage } = require('../utils/images');
+const { normalizeLocale, requestedLocales, loadGenreLabels, genreLabel, localizeMovies } = require('../utils/i18n');
+const { releaseFilter, releaseEvents, groupEvents } = require('../utils/calendar');
+const { MAX_RESULTS: MAX_SIMILAR, findSimilar, invalidateSimilarCache } = require('../utils/similar');
 
 const router = express.Router();
 
-// TMDB API configuration
-const TMDB_API_KEY = process.env.TMDB_API_KEY;
-const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+// Upper bound on movies imported by one bulk request
+const BULK_IMPORT_LIMIT = 100;
+
+// Accept either a comma-separated string or a repeated query parameter
+function parseList(value) {
+  if (value === undefined) {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const isList = value => parseList(value).length > 0;
+
+const RELEASE_TYPES = ['theatrical', 'digital'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const releaseDateValidators = [
+  body('releaseDates').optional().isArray().withMessage('Release dates must be an array'),
+  body('releaseDates.*.region').matches(/^[a-zA-Z]{2}$/).withMessage('Release region must be a two-letter country code'),
+  body('releaseDates.*.type').isIn(RELEASE_TYPES).withMessage('Release type must be theatrical or digital'),
+  body('releaseDates.*.date').isISO8601().withMessage('Release date must be a valid date')
+];
+
+// Movie fields a request body may set. Ratings, credits, image variants,
+// translations and the soft-delete fields are kept up to date by their own
+// routes and hooks and are never taken from a body.
+const EDITABLE_FIELDS = [
+  'title', 'genre', 'releaseYear', 'director', 'cast', 'synopsis', 'posterUrl',
+  'backdropUrl', 'trailerUrl', 'duration', 'tmdbId', 'imdbId', 'releaseDates', 'overriddenFields'
+];
+
+// Copy the editable fields from a request body
+function movieData(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+}
+
+// Rating facet buckets: [0, 1), [1, 2), ... [4, 5]
+const RATING_BUCKET_BOUNDARIES = [0, 1, 2, 3, 4, 5.01];
 
 // @route   GET /api/movies
-// @desc    Get all movies with pagination and filtering
+// @desc    Get all movies with pagination, filtering and facet counts
 // @access  Public
+//
+// Filters:
+//   genre=Drama,Crime&genreMode=any|all   match any (default) or all listed genres
+//   excludeGenre=Horror                    drop movies with any of these genres
+//   year, yearFrom, yearTo                 exact year or an inclusive range
+//   minDuration, maxDuration               runtime range in minutes
+//   director, cast                         case-insensitive partial name match
+//   excludeDirector                        drop movies by these directors
+//   rating                                 minimum average rating
+//   region=US&availability=stream,rent     only movies watchable in a region now,
+//                                          optionally through these offer types
+// Facet counts (genres, decades, rating buckets) describe the filtered result set.
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('genre').optional().isString().withMessage('Genre must be a string'),
+  query('genre').optional().custom(isList).withMessage('Genre must be a string or list of strings'),
+  query('genreMode').optional().isIn(['any', 'all']).withMessage('Genre mode must be any or all'),
+  query('excludeGenre').optional().custom(isList).withMessage('Excluded genres must be a string or list of strings'),
   query('year').optional().isInt({ min: 1888 }).withMessage('Year must be a valid year'),
+  query('yearFrom').optional().isInt({ min: 1888 }).withMessage('Year from must be a valid year'),
+  query('yearTo').optional().isInt({ min: 1888 }).withMessage('Year to must be a valid year'),
+  query('minDuration').optional().isInt({ min: 0 }).withMessage('Minimum duration must be a positive integer'),
+  query('maxDuration').optional().isInt({ min: 0 }).withMessage('Maximum duration must be a positive integer'),
+  query('director').optional().isString().withMessage('Director must be a string'),
+  query('excludeDirector').optional().custom(isList).withMessage('Excluded directors must be a string or list of strings'),
+  query('cast').optional().isString().withMessage('Cast must be a string'),
   query('rating').optional().isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5'),
   query('search').optional().isString().withMessage('Search must be a string'),
+  query('region').optional().matches(/^[a-zA-Z]{2}$/).withMessage('Region must be a two-letter country code'),
+  query('availability').optional()
+    .custom((value, { req }) => Boolean(req.query.region) && parseList(value).every(type => ['stream', 'rent', 'buy'].includes(type)))
+    .withMessage('Availability must be any of stream, rent, buy, together with a region'),
   query('sort').optional().isIn(['title', 'releaseYear', 'averageRating', 'createdAt']).withMessage('Invalid sort field')
 ], async (req, res) => {
   try {
@@ -37,23 +119,70 @@ router.get('/', [
 
     // Build filter object
     const filter = {};
-    
-    if (req.query.genre) {
-      filter.genre = { $in: [req.query.genre] };
+    const conditions = [];
+
+    const genres = parseList(req.query.genre);
+    if (genres.length > 0) {
+      conditions.push({
+        genre: req.query.genreMode === 'all' ? { $all: genres } : { $in: genres }
+      });
     }
-    
+
+    const excludedGenres = parseList(req.query.excludeGenre);
+    if (excludedGenres.length > 0) {
+      conditions.push({ genre: { $nin: excludedGenres } });
+    }
+
     if (req.query.year) {
-      filter.releaseYear = parseInt(req.query.year);
+      conditions.push({ releaseYear: parseInt(req.query.year) });
+    }
+
+    if (req.query.yearFrom || req.query.yearTo) {
+      const releaseYear = {};
+      if (req.query.yearFrom) releaseYear.$gte = parseInt(req.query.yearFrom);
+      if (req.query.yearTo) releaseYear.$lte = parseInt(req.query.yearTo);
+      conditions.push({ releaseYear });
+    }
+
+    if (req.query.minDuration || req.query.maxDuration) {
+      const duration = {};
+      if (req.query.minDuration) duration.$gte = parseInt(req.query.minDuration);
+      if (req.query.maxDuration) duration.$lte = parseInt(req.query.maxDuration);
+      conditions.push({ duration });
+    }
+
+    if (req.query.director) {
+      conditions.push({ director: new RegExp(escapeRegex(req.query.director), 'i') });
+    }
+
+    const excludedDirectors = parseList(req.query.excludeDirector);
+    if (excludedDirectors.length > 0) {
+      conditions.push({
+        director: { $nin: excludedDirectors.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i')) }
+      });
+    }
+
+    if (req.query.cast) {
+      conditions.push({ 'cast.name': new RegExp(escapeRegex(req.query.cast), 'i') });
     }
     
     if (req.query.rating) {
-      filter.averageRating = { $gte: parseFloat(req.query.rating) };
+      conditions.push({ averageRating: { $gte: parseFloat(req.query.rating) } });
+    }
+
+    if (req.query.region) {
+      const movieIds = await Availability.availableMovieIds(req.query.region, parseList(req.query.availability));
+      conditions.push({ _id: { $in: movieIds } });
     }
     
     if (req.query.search) {
       filter.$text = { $search: req.query.search };
     }
 
+    if (conditions.length > 0) {
+      filter.$and = conditions;
+    }
+
     // Build sort object
     const sort = {};
     if (req.query.sort) {
@@ -72,14 +201,65 @@ router.get('/', [
     const total = await Movie.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
 
+    const [facetResult] = await Movie.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          genres: [
+            { $unwind: '$genre' },
+            { $group: { _id: '$genre', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          decades: [
+            { $match: { releaseYear: { $type: 'number' } } },
+            {
+              $group: {
+                _id: { $multiply: [{ $floor: { $divide: ['$releaseYear', 10] } }, 10] },
+                count: { $sum: 1 }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          ratings: [
+            {
+              $bucket: {
+                groupBy: '$averageRating',
+                boundaries: RATING_BUCKET_BOUNDARIES,
+                default: 'other',
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const locales = requestedLocales(req);
+    const labelsByGenre = await loadGenreLabels(facetResult.genres.map(facet => facet._id));
+
     res.json({
-      movies,
+      movies: await localizeMovies(req, res, movies),
       pagination: {
         currentPage: page,
         totalPages,
         totalMovies: total,
         hasNext: page < totalPages,
         hasPrev: page > 1
+      },
+      facets: {
+        genres: facetResult.genres.map(facet => ({
+          genre: facet._id,
+          label: genreLabel(facet._id, labelsByGenre, locales),
+          count: facet.count
+        })),
+        decades: facetResult.decades.map(facet => ({ decade: facet._id, count: facet.count })),
+        ratings: facetResult.ratings
+          .filter(facet => facet._id !== 'other')
+          .map(facet => ({
+            min: facet._id,
+            max: Math.min(facet._id + 1, 5),
+            count: facet.count
+          }))
       }
     });
   } catch (error) {
@@ -88,72 +268,327 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/movies/autocomplete
+// @desc    Typeahead suggestions across titles, directors and cast names
+// @access  Public
+router.get('/autocomplete', [
+  query('q').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Query must be between 1 and 100 characters'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
+  query('types').optional().custom(value => parseList(value).every(type => ['movie', 'director', 'cast'].includes(type)))
+    .withMessage('Types must be any of movie, director, cast')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const types = parseList(req.query.types);
+    const suggestions = await suggest(req.query.q, {
+      limit: parseInt(req.query.limit) || 8,
+      ...(types.length > 0 ? { types } : {})
+    });
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({ suggestions });
+  } catch (error) {
+    console.error('Autocomplete error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/movies/trending
-// @desc    Get trending movies
+// @desc    Get trending movies from recent, time-decayed activity
 // @access  Public
-router.get('/trending', async (req, res) => {
+router.get('/trending', [
+  query('window').optional().isIn(Object.keys(TRENDING_WINDOWS)).withMessage('Window must be day, week or month'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
   try {
-    const movies = await Movie.find({})
-      .sort({ averageRating: -1, totalReviews: -1 })
-      .limit(10)
-      .lean();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const window = req.query.window || 'week';
+    const limit = parseInt(req.query.limit) || 10;
+
+    // Scores are precomputed by the trending job; compute once if it hasn't run yet
+    const snapshot = await TrendingSnapshot.findOne({ window }).lean() || await computeTrending(window);
+
+    const ranked = snapshot.movies.slice(0, limit);
+    const rankedMovies = await Movie.find({ _id: { $in: ranked.map(entry => entry.movieId) } }).lean();
+    const moviesById = new Map(rankedMovies.map(movie => [movie._id.toString(), movie]));
 
-    res.json({ movies });
+    const movies = ranked
+      .filter(entry => moviesById.has(entry.movieId.toString()))
+      .map(entry => ({
+        ...moviesById.get(entry.movieId.toString()),
+        trendingScore: entry.score
+      }));
+
+    // Top up quiet periods with the best rated movies
+    if (movies.length < limit) {
+      const fillers = await Movie.find({ _id: { $nin: movies.map(movie => movie._id) } })
+        .sort({ averageRating: -1, totalReviews: -1 })
+        .limit(limit - movies.length)
+        .lean();
+      movies.push(...fillers.map(movie => ({ ...movie, trendingScore: 0 })));
+    }
+
+    res.json({
+      movies: await localizeMovies(req, res, movies),
+      window,
+      computedAt: snapshot.computedAt
+    });
   } catch (error) {
     console.error('Get trending movies error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/movies/upcoming
+// @desc    Get upcoming releases grouped by week or month
+// @access  Public
+router.get('/upcoming', [
+  query('region').optional().matches(/^[a-zA-Z]{2}$/).withMessage('Region must be a two-letter country code'),
+  query('type').optional().custom(value => parseList(value).every(type => RELEASE_TYPES.includes(type)))
+    .withMessage('Type must be any of theatrical, digital'),
+  query('groupBy').optional().isIn(['week', 'month']).withMessage('Group by must be week or month'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const groupBy = req.query.groupBy || 'week';
+    const now = new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const until = new Date(from.getTime() + (parseInt(req.query.days) || 90) * DAY_MS);
+    const window = {
+      from,
+      until,
+      region: req.query.region || null,
+      types: parseList(req.query.type)
+    };
+
+    const movies = await Movie.find(releaseFilter(window)).lean();
+    const localized = await localizeMovies(req, res, movies);
+    const groups = groupEvents(releaseEvents(localized, window), groupBy);
+
+    res.json({
+      groupBy,
+      from,
+      until,
+      region: window.region && window.region.toUpperCase(),
+      groups
+    });
+  } catch (error) {
+    console.error('Get upcoming movies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/movies/featured
-// @desc    Get featured movies
+// @desc    Get featured movies from the currently active collections
 // @access  Public
 router.get('/featured', async (req, res) => {
   try {
-    const featuredMovies = await Movie.find({})
-      .sort({ averageRating: -1 })
-      .limit(6)
+    const collections = await Collection.findActive()
+      .populate('movies.movieId')
       .lean();
 
-    res.json({ movies: featuredMovies });
+    // Flatten the collections in order, listing each movie once
+    const seen = new Set();
+    const featuredMovies = [];
+    for (const collection of collections) {
+      for (const item of collection.movies) {
+        if (item.movieId && !seen.has(item.movieId._id.toString())) {
+          seen.add(item.movieId._id.toString());
+          featuredMovies.push(item.movieId);
+        }
+      }
+    }
+
+    // Without any active collection fall back to the top rated movies
+    if (featuredMovies.length === 0) {
+      const topRated = await Movie.find({})
+        .sort({ averageRating: -1 })
+        .limit(6)
+        .lean();
+      featuredMovies.push(...topRated);
+    }
+
+    const collectionMovies = await Promise.all(collections.map(collection => localizeMovies(
+      req,
+      res,
+      collection.movies
+        .filter(item => item.movieId)
+        .map(item => ({ ...item.movieId, note: item.note }))
+    )));
+
+    res.json({
+      movies: await localizeMovies(req, res, featuredMovies),
+      collections: collections.map((collection, index) => ({
+        id: collection._id,
+        title: collection.title,
+        slug: collection.slug,
+        description: collection.description,
+        movies: collectionMovies[index]
+      }))
+    });
   } catch (error) {
     console.error('Get featured movies error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/movies/deleted
+// @desc    Get deleted movies that can still be restored
+// @access  Private (movie:delete)
+router.get('/deleted', [
+  authMiddleware,
+  requireScope('movies:read'),
+  requirePermission('movie:delete'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const filter = { deletedAt: { $ne: null } };
+
+    const movies = await Movie.find(filter)
+      .setOptions({ withDeleted: true })
+      .select('title releaseYear posterUrl posterImages deletedAt deletedBy')
+      .populate('deletedBy', 'username')
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Movie.countDocuments(filter).setOptions({ withDeleted: true });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      movies: movies.map(movie => ({ ...movie, purgeAt: purgeDate(movie) })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalMovies: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get deleted movies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/movies/:id
 // @desc    Get a specific movie with reviews
 // @access  Public
 router.get('/:id', async (req, res) => {
   try {
     const movie = await Movie.findById(req.params.id)
-      
+      .populate('credits.personId', 'name photoUrl')
       .lean();
 
     if (!movie) {
       return res.status(404).json({ message: 'Movie not found' });
     }
 
-    res.json({ movie });
+    const [localized] = await localizeMovies(req, res, [movie]);
+    res.json({ movie: localized });
   } catch (error) {
     console.error('Get movie error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/movies/:id/similar
+// @desc    Get movies similar to this one, by genres, director, cast, era and
+//          what fans of this movie also rated highly
+// @access  Public
+router.get('/:id/similar', [
+  query('limit').optional().isInt({ min: 1, max: MAX_SIMILAR }).withMessage(`Limit must be between 1 and ${MAX_SIMILAR}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const movie = await Movie.findById(req.params.id)
+      .select('genre director cast.name releaseYear')
+      .lean();
+
+    if (!movie) {
+      return res.status(404).json({ message: 'Movie not found' });
+    }
+
+    const ranked = (await findSimilar(movie)).slice(0, parseInt(req.query.limit) || 10);
+    const similarMovies = await Movie.find({ _id: { $in: ranked.map(entry => entry.movieId) } })
+      .select('title synopsis genre director releaseYear posterUrl posterImages averageRating totalReviews translations')
+      .lean();
+    const moviesById = new Map((await localizeMovies(req, res, similarMovies)).map(item => [item._id.toString(), item]));
+
+    res.json({
+      movies: ranked
+        .filter(entry => moviesById.has(entry.movieId.toString()))
+        .map(entry => ({
+          ...moviesById.get(entry.movieId.toString()),
+          similarityScore: entry.score,
+          reasons: entry.reasons
+        }))
+    });
+  } catch (error) {
+    console.error('Get similar movies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/movies
-// @desc    Add a new movie (admin only)
-// @access  Private (Admin)
+// @desc    Add a new movie
+// @access  Private (movie:write)
 router.post('/', [
   authMiddleware,
-  adminMiddleware,
+  requireScope('movies:write'),
+  requirePermission('movie:write'),
   body('title').notEmpty().withMessage('Title is required'),
   body('genre').isArray({ min: 1 }).withMessage('At least one genre is required'),
   body('releaseYear').isInt({ min: 1888 }).withMessage('Valid release year is required'),
   body('director').notEmpty().withMessage('Director is required'),
   body('cast').isArray({ min: 1 }).withMessage('At least one cast member is required'),
-  body('synopsis').notEmpty().withMessage('Synopsis is required')
+  body('synopsis').notEmpty().withMessage('Synopsis is required'),
+  ...releaseDateValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -164,16 +599,23 @@ router.post('/', [
       });
     }
 
-    const movieData = req.body;
-    
+    const data = movieData(req.body);
+
     // Check if movie already exists
-    const existingMovie = await Movie.findOne({ title: movieData.title, releaseYear: movieData.releaseYear });
+    const existingMovie = await Movie.findOne({ title: data.title, releaseYear: data.releaseYear })
+      .setOptions({ withDeleted: true });
     if (existingMovie) {
-      return res.status(400).json({ message: 'Movie already exists' });
+      return res.status(400).json({
+        message: existingMovie.deletedAt ? 'Movie already exists but was deleted, restore it instead' : 'Movie already exists'
+      });
     }
 
-    const movie = new Movie(movieData);
+    const movie = new Movie(data);
+    await linkCredits(movie);
     await movie.save();
+    await recordRevision(movie, { action: 'create', authorId: req.user._id });
+    invalidateAutocompleteIndex();
+    invalidateSimilarCache();
 
     res.status(201).json({
       message: 'Movie added successfully',
@@ -185,54 +627,145 @@ router.post('/', [
   }
 });
 
-// @route   POST /api/movies/tmdb/:tmdbId
-// @desc    Add movie from TMDB
-// @access  Private (Admin)
-router.post('/tmdb/:tmdbId', [authMiddleware, adminMiddleware], async (req, res) => {
+// @route   GET /api/movies/tmdb/search
+// @desc    Search TMDB for movies to import, flagging ones already in the catalog
+// @access  Private (movie:write)
+router.get('/tmdb/search', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('movie:write'),
+  query('q').trim().notEmpty().withMessage('Search query is required'),
+  query('page').optional().isInt({ min: 1, max: 500 }).withMessage('Page must be between 1 and 500'),
+  query('year').optional().isInt({ min: 1888 }).withMessage('Valid release year is required')
+], async (req, res) => {
   try {
-    if (!TMDB_API_KEY) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!tmdb.isConfigured()) {
       return res.status(500).json({ message: 'TMDB API key not configured' });
     }
 
-    const { tmdbId } = req.params;
+    const results = await tmdb.searchMovies({
+      query: req.query.q,
+      page: parseInt(req.query.page) || 1,
+      year: req.query.year
+    });
 
-    // Check if movie already exists
-    const existingMovie = await Movie.findOne({ tmdbId: parseInt(tmdbId) });
-    if (existingMovie) {
-      return res.status(400).json({ message: 'Movie already exists' });
+    res.json(results);
+  } catch (error) {
+    console.error('Search TMDB error:', error);
+    res.status(502).json({ message: 'TMDB request failed' });
+  }
+});
+
+// @route   POST /api/movies/tmdb/bulk-import
+// @desc    Import several movies from TMDB by id list, TMDB list or discover query
+// @access  Private (movie:write)
+router.post('/tmdb/bulk-import', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('movie:write'),
+  body('tmdbIds').optional().isArray({ min: 1, max: BULK_IMPORT_LIMIT }).withMessage(`TMDB IDs must be an array of 1 to ${BULK_IMPORT_LIMIT} items`),
+  body('tmdbIds.*').optional().isInt({ min: 1 }).withMessage('TMDB IDs must be positive integers'),
+  body('listId').optional().isString().trim().notEmpty().withMessage('List ID cannot be empty'),
+  body('discover').optional().isObject().withMessage('Discover must be an object of TMDB discover parameters'),
+  body('limit').optional().isInt({ min: 1, max: BULK_IMPORT_LIMIT }).withMessage(`Limit must be between 1 and ${BULK_IMPORT_LIMIT}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    // Fetch movie details from TMDB
-    const response = await axios.get(`${TMDB_BASE_URL}/movie/${tmdbId}`, {
-      params: { api_key: TMDB_API_KEY }
-    });
+    const { tmdbIds, listId, discover } = req.body;
+    const sources = [tmdbIds, listId, discover].filter(source => source !== undefined);
+    if (sources.length !== 1) {
+      return res.status(400).json({ message: 'Provide exactly one of tmdbIds, listId or discover' });
+    }
 
-    const tmdbMovie = response.data;
+    if (!tmdb.isConfigured()) {
+      return res.status(500).json({ message: 'TMDB API key not configured' });
+    }
 
-    // Fetch cast details
-    const castResponse = await axios.get(`${TMDB_BASE_URL}/movie/${tmdbId}/credits`, {
-      params: { api_key: TMDB_API_KEY }
-    });
+    const limit = parseInt(req.body.limit) || BULK_IMPORT_LIMIT;
+    let ids;
+    if (tmdbIds) {
+      ids = tmdbIds.map(id => parseInt(id));
+    } else {
+      try {
+        ids = await tmdb.collectTmdbIds({ listId, discover }, limit);
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return res.status(404).json({ message: 'List not found on TMDB' });
+        }
+        throw error;
+      }
+    }
 
-    const movieData = {
-      title: tmdbMovie.title,
-      genre: tmdbMovie.genres.map(g => g.name),
-      releaseYear: new Date(tmdbMovie.release_date).getFullYear(),
-      director: castResponse.data.crew.find(person => person.job === 'Director')?.name || 'Unknown',
-      cast: castResponse.data.cast.slice(0, 10).map(actor => ({
-        name: actor.name,
-        character: actor.character
-      })),
-      synopsis: tmdbMovie.overview,
-      posterUrl: tmdbMovie.poster_path ? `https://image.tmdb.org/t/p/w500${tmdbMovie.poster_path}` : null,
-      backdropUrl: tmdbMovie.backdrop_path ? `https://image.tmdb.org/t/p/w1280${tmdbMovie.backdrop_path}` : null,
-      duration: tmdbMovie.runtime,
-      tmdbId: tmdbMovie.id,
-      imdbId: tmdbMovie.imdb_id
-    };
+    // Import one at a time to stay well inside TMDB's rate limits
+    const results = [];
+    for (const tmdbId of [...new Set(ids)].slice(0, limit)) {
+      const { status, movie, error } = await tmdb.importMovie(tmdbId, { authorId: req.user._id });
+      results.push({
+        tmdbId,
+        status,
+        ...(movie ? { movieId: movie._id, title: movie.title } : {}),
+        ...(error ? { error } : {})
+      });
+    }
 
-    const movie = new Movie(movieData);
-    await movie.save();
+    const summary = { imported: 0, exists: 0, not_found: 0, failed: 0 };
+    for (const result of results) {
+      summary[result.status] += 1;
+    }
+
+    if (summary.imported > 0) {
+      invalidateAutocompleteIndex();
+      invalidateSimilarCache();
+    }
+
+    res.json({ summary, results });
+  } catch (error) {
+    console.error('Bulk TMDB import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/movies/tmdb/:tmdbId
+// @desc    Add movie from TMDB
+// @access  Private (movie:write)
+router.post('/tmdb/:tmdbId', [authMiddleware, requireScope('movies:write'), requirePermission('movie:write')], async (req, res) => {
+  try {
+    if (!tmdb.isConfigured()) {
+      return res.status(500).json({ message: 'TMDB API key not configured' });
+    }
+
+    const { status, movie, error } = await tmdb.importMovie(req.params.tmdbId, { authorId: req.user._id });
+
+    if (status === 'exists') {
+      return res.status(400).json({
+        message: movie.deletedAt ? 'Movie already exists but was deleted, restore it instead' : 'Movie already exists'
+      });
+    }
+    if (status === 'not_found') {
+      return res.status(404).json({ message: error });
+    }
+    if (status === 'failed') {
+      console.error('Add TMDB movie error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
+    invalidateAutocompleteIndex();
+    invalidateSimilarCache();
 
     res.status(201).json({
       message: 'Movie added successfully from TMDB',
@@ -240,26 +773,26 @@ router.post('/tmdb/:tmdbId', [authMiddleware, adminMiddleware], async (req, res)
     });
   } catch (error) {
     console.error('Add TMDB movie error:', error);
-    if (error.response?.status === 404) {
-      res.status(404).json({ message: 'Movie not found on TMDB' });
-    } else {
-      res.status(500).json({ message: 'Server error' });
-    }
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   PUT /api/movies/:id
-// @desc    Update a movie (admin only)
-// @access  Private (Admin)
+// @desc    Update a movie
+// @access  Private (movie:write)
 router.put('/:id', [
   authMiddleware,
-  adminMiddleware,
+  requireScope('movies:write'),
+  requirePermission('movie:write'),
   body('title').optional().notEmpty().withMessage('Title cannot be empty'),
   body('genre').optional().isArray({ min: 1 }).withMessage('At least one genre is required'),
   body('releaseYear').optional().isInt({ min: 1888 }).withMessage('Valid release year is required'),
   body('director').optional().notEmpty().withMessage('Director cannot be empty'),
   body('cast').optional().isArray({ min: 1 }).withMessage('At least one cast member is required'),
-  body('synopsis').optional().notEmpty().withMessage('Synopsis cannot be empty')
+  body('synopsis').optional().notEmpty().withMessage('Synopsis cannot be empty'),
+  body('overriddenFields').optional().isArray().withMessage('Overridden fields must be an array'),
+  body('overriddenFields.*').optional().isIn(tmdb.SYNCED_FIELDS).withMessage(`Overridden fields must be among: ${tmdb.SYNCED_FIELDS.join(', ')}`),
+  ...releaseDateValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -270,9 +803,24 @@ router.put('/:id', [
       });
     }
 
+    // Hand edits to TMDB fields are protected from the metadata sync,
+    // unless the request sets overriddenFields explicitly
+    const update = movieData(req.body);
+    if (update.overriddenFields === undefined) {
+      const edited = tmdb.SYNCED_FIELDS.filter(field => update[field] !== undefined);
+      if (edited.length > 0) {
+        update.$addToSet = { overriddenFields: { $each: edited } };
+      }
+    }
+
+    const before = await Movie.findById(req.params.id).lean();
+    if (!before) {
+      return res.status(404).json({ message: 'Movie not found' });
+    }
+
     const movie = await Movie.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true, runValidators: true }
     );
 
@@ -280,6 +828,15 @@ router.put('/:id', [
       return res.status(404).json({ message: 'Movie not found' });
     }
 
+    if (req.body.director !== undefined || req.body.cast !== undefined) {
+      await linkCredits(movie);
+      await movie.save();
+    }
+
+    await recordRevision(movie, { action: 'update', authorId: req.user._id, previous: snapshotOf(before) });
+    invalidateAutocompleteIndex();
+    invalidateSimilarCache();
+
     res.json({
       message: 'Movie updated successfully',
       movie
@@ -290,24 +847,392 @@ router.put('/:id', [
   }
 });
 
+// Store an uploaded poster or backdrop and point the movie at it.
+// The URL counts as a hand edit, so the TMDB sync won't replace it.
+function uploadMovieImage(kind) {
+  const urlField = `${kind}Url`;
+  const imagesField = `${kind}Images`;
+
+  return async (req, res) => {
+    try {
+      const problem = await inspectImage(req.file.buffer);
+      if (problem) {
+        return res.status(400).json({ message: problem });
+      }
+
+      const movie = await Movie.findById(req.params.id);
+      if (!movie) {
+        return res.status(404).json({ message: 'Movie not found' });
+      }
+
+      const previous = snapshotOf(movie);
+      const image = await storeImage(req.file.buffer, kind, `movies/${movie._id}`);
+
+      movie[urlField] = image.full;
+      movie[imagesField] = image;
+      if (!movie.overriddenFields.includes(urlField)) {
+        movie.overriddenFields.push(urlField);
+      }
+      await movie.save();
+      await recordRevision(movie, { action: 'update', authorId: req.user._id, previous });
+
+      res.json({
+        message: `${kind === 'poster' ? 'Poster' : 'Backdrop'} uploaded successfully`,
+        movie
+      });
+    } catch (error) {
+      console.error(`Upload ${kind} error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+}
+
+// @route   POST /api/movies/:id/poster
+// @desc    Upload a poster image (multipart field "image")
+// @access  Private (movie:write)
+router.post('/:id/poster', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('movie:write'),
+  imageUpload('image')
+], uploadMovieImage('poster'));
+
+// @route   POST /api/movies/:id/backdrop
+// @desc    Upload a backdrop image (multipart field "image")
+// @access  Private (movie:write)
+router.post('/:id/backdrop', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('movie:write'),
+  imageUpload('image')
+], uploadMovieImage('backdrop'));
+
+// @route   GET /api/movies/:id/translations
+// @desc    Get the translated titles and synopses of a movie
+// @access  Private (movie:write)
+router.get('/:id/translations', [authMiddleware, requireScope('movies:read'), requirePermission('movie:write')], async (req, res) => {
+  try {
+    const movie = await Movie.findById(req.params.id)
+      .select('title synopsis translations')
+      .lean();
+
+    if (!movie) {
+      return res.status(404).json({ message: 'Movie not found' });
+    }
+
+    res.json({
+      original: { title: movie.title, synopsis: movie.synopsis },
+      translations: movie.translations || []
+    });
+  } catch (error) {
+    console.error('Get movie translations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/movies/:id/translations/:locale
+// @desc    Add or replace the translation of a movie for one locale
+// @access  Private (movie:write)
+router.put('/:id/translations/:locale', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('movie:write'),
+  param('locale').custom(value => normalizeLocale(value) !== null).withMessage('Locale must be a language tag such as fr or pt-BR'),
+  body('title').optional({ values: 'null' }).isString().trim().notEmpty().withMessage('Title cannot be empty'),
+  body('synopsis').optional({ values: 'null' }).isString().trim().isLength({ min: 1, max: 2000 })
+    .withMessage('Synopsis must be between 1 and 2000 characters'),
+  body().custom(value => Boolean(value?.title || value?.synopsis)).withMessage('Provide a title, a synopsis or both')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const movie = await Movie.findById(req.params.id);
+    if (!movie) {
+      return res.status(404).json({ message: 'Movie not found' });
+    }
+
+    const locale = normalizeLocale(req.params.locale);
+    const previous = snapshotOf(movie);
+    const translation = { locale, title: req.body.title || null, synopsis: req.body.synopsis || null };
+
+    const index = movie.translations.findIndex(entry => entry.locale === locale);
+    if (index === -1) {
+      movie.translations.push(translation);
+    } else {
+      movie.translations.set(index, translation);
+    }
+
+    await movie.save();
+    await recordRevision(movie, { action: 'update', authorId: req.user._id, previous });
+
+    res.json({
+      message: 'Translation saved successfully',
+      translation
+    });
+  } catch (error) {
+    console.error('Save movie translation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/movies/:id/translations/:locale
+// @desc    Remove the translation of a movie for one locale
+// @access  Private (movie:write)
+router.delete('/:id/translations/:locale', [authMiddleware, requireScope('movies:write'), requirePermission('movie:write')], async (req, res) => {
+  try {
+    const movie = await Movie.findById(req.params.id);
+    if (!movie) {
+      return res.status(404).json({ message: 'Movie not found' });
+    }
+
+    const locale = normalizeLocale(req.params.locale);
+    const index = movie.translations.findIndex(entry => entry.locale === locale);
+    if (index === -1) {
+      return res.status(404).json({ message: 'Translation not found' });
+    }
+
+    const previous = snapshotOf(movie);
+    movie.translations.splice(index, 1);
+    await movie.save();
+    await recordRevision(movie, { action: 'update', authorId: req.user._id, previous });
+
+    res.json({ message: 'Translation removed successfully' });
+  } catch (error) {
+    console.error('Delete movie translation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/movies/:id/revisions
+// @desc    Get the edit history of a movie, newest first
+// @access  Private (movie:write)
+router.get('/:id/revisions', [
+  authMiddleware,
+  requireScope('movies:read'),
+  requirePermission('movie:write'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!await Movie.exists({ _id: req.params.id })) {
+      return res.status(404).json({ message: 'Movie not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const revisions = await MovieRevision.find({ movieId: req.params.id })
+      .select('-snapshot')
+      .populate('authorId', 'username')
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await MovieRevision.countDocuments({ movieId: req.params.id });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      revisions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRevisions: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get movie revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/movies/:id/revisions/:version
+// @desc    Get one revision including the full movie state it recorded
+// @access  Private (movie:write)
+router.get('/:id/revisions/:version', [authMiddleware, requireScope('movies:read'), requirePermission('movie:write')], async (req, res) => {
+  try {
+    const revision = await MovieRevision.findOne({
+      movieId: req.params.id,
+      version: parseInt(req.params.version)
+    })
+      .populate('authorId', 'username')
+      .lean();
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json({ revision });
+  } catch (error) {
+    console.error('Get movie revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/movies/:id/revisions/:version/revert
+// @desc    Restore a movie to the state recorded in an earlier revision
+// @access  Private (movie:write)
+router.post('/:id/revisions/:version/revert', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('movie:write')
+], async (req, res) => {
+  try {
+    const movie = await Movie.findById(req.params.id);
+    if (!movie) {
+      return res.status(404).json({ message: 'Movie not found' });
+    }
+
+    const revision = await MovieRevision.findOne({
+      movieId: movie._id,
+      version: parseInt(req.params.version)
+    }).lean();
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const previous = snapshotOf(movie);
+    const changes = diffSnapshots(previous, revision.snapshot);
+    if (changes.length === 0) {
+      return res.status(400).json({ message: 'Movie already matches this revision' });
+    }
+
+    if (revision.snapshot.tmdbId &&
+      await Movie.exists({ tmdbId: revision.snapshot.tmdbId, _id: { $ne: movie._id } }).setOptions({ withDeleted: true })) {
+      return res.status(409).json({ message: 'Another movie now uses the TMDB ID from this revision' });
+    }
+
+    for (const { field, to } of changes) {
+      movie[field] = to ?? undefined;
+    }
+    if (changes.some(change => ['director', 'cast'].includes(change.field))) {
+      await linkCredits(movie);
+    }
+    await movie.save();
+
+    const reverted = await recordRevision(movie, {
+      action: 'revert',
+      authorId: req.user._id,
+      previous,
+      revertedTo: revision.version
+    });
+    invalidateAutocompleteIndex();
+    invalidateSimilarCache();
+
+    res.json({
+      message: `Movie reverted to revision ${revision.version}`,
+      movie,
+      revision: reverted
+    });
+  } catch (error) {
+    console.error('Revert movie error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/movies/:id
-// @desc    Delete a movie (admin only)
-// @access  Private (Admin)
-router.delete('/:id', [authMiddleware, adminMiddleware], async (req, res) => {
+// @desc    Delete a movie (soft delete, purged automatically later)
+// @access  Private (movie:delete)
+router.delete('/:id', [authMiddleware, requireScope('movies:write'), requirePermission('movie:delete')], async (req, res) => {
   try {
-    const movie = await Movie.findByIdAndDelete(req.params.id);
+    const movie = await Movie.findByIdAndUpdate(
+      req.params.id,
+      { deletedAt: new Date(), deletedBy: req.user._id },
+      { new: true }
+    );
     
     if (!movie) {
       return res.status(404).json({ message: 'Movie not found' });
     }
 
-    res.json({ message: 'Movie deleted successfully' });
+    await Movie.markDependentsDeleted(movie._id, true);
+    invalidateAutocompleteIndex();
+    invalidateSimilarCache();
+
+    res.json({
+      message: 'Movie deleted successfully',
+      purgeAt: purgeDate(movie)
+    });
   } catch (error) {
     console.error('Delete movie error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   POST /api/movies/:id/restore
+// @desc    Restore a deleted movie
+// @access  Private (movie:delete)
+router.post('/:id/restore', [authMiddleware, requireScope('movies:write'), requirePermission('movie:delete')], async (req, res) => {
+  try {
+    const movie = await Movie.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null } },
+      { deletedAt: null, deletedBy: null },
+      { new: true }
+    ).setOptions({ withDeleted: true });
+
+    if (!movie) {
+      return res.status(404).json({ message: 'Deleted movie not found' });
+    }
+
+    await Movie.markDependentsDeleted(movie._id, false);
+    // Reviews may have been removed while the movie was hidden
+    await Movie.calculateAverageRating(movie._id);
+    invalidateAutocompleteIndex();
+    invalidateSimilarCache();
+
+    res.json({
+      message: 'Movie restored successfully',
+      movie: await Movie.findById(movie._id)
+    });
+  } catch (error) {
+    console.error('Restore movie error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/movies/:id/purge
+// @desc    Permanently remove a deleted movie with its reviews and watchlist items
+// @access  Private (movie:delete)
+router.delete('/:id/purge', [authMiddleware, requireScope('movies:write'), requirePermission('movie:delete')], async (req, res) => {
+  try {
+    const movie = await Movie.findById(req.params.id).setOptions({ withDeleted: true });
+    if (!movie) {
+      return res.status(404).json({ message: 'Movie not found' });
+    }
+    if (!movie.deletedAt) {
+      return res.status(400).json({ message: 'Only deleted movies can be purged' });
+    }
+
+    const result = await purgeMovie(movie, { actorId: req.user._id });
+
+    res.json({
+      message: 'Movie purged successfully',
+      ...result
+    });
+  } catch (error) {
+    console.error('Purge movie error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
 
 
@@ -0,0 +1,114 @@
+const express = require('express');
+const { OidcState } = require('../models');
+const { createSession } = require('../utils/tokens');
+const { createLoginChallenge } = require('../utils/twoFactor');
+const {
+  getProvider,
+  listProviders,
+  createAuthorizationParams,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  findOrCreateOidcUser
+} = require('../utils/oidc');
+
+const router = express.Router();
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const OIDC_STATE_TTL_MINUTES = 10;
+
+// Send the browser back to the client with the result in the URL fragment
+function redirectToClient(res, params) {
+  res.redirect(`${CLIENT_URL}/auth/callback#${new URLSearchParams(params).toString()}`);
+}
+
+// @route   GET /api/auth/oidc/providers
+// @desc    List configured identity providers
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// @route   GET /api/auth/oidc/:provider/authorize
+// @desc    Start an authorization code + PKCE login with a provider
+// @access  Public
+router.get('/:provider/authorize', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Identity provider not found' });
+    }
+
+    const params = createAuthorizationParams();
+
+    await OidcState.create({
+      state: params.state,
+      providerId: provider.id,
+      nonce: params.nonce,
+      codeVerifier: params.codeVerifier,
+      expiresAt: new Date(Date.now() + OIDC_STATE_TTL_MINUTES * 60 * 1000)
+    });
+
+    res.redirect(await buildAuthorizationUrl(provider, params));
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/oidc/:provider/callback
+// @desc    Complete a provider login and issue our own tokens
+// @access  Public
+router.get('/:provider/callback', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Identity provider not found' });
+    }
+
+    if (req.query.error) {
+      return redirectToClient(res, { error: req.query.error });
+    }
+
+    const { code, state } = req.query;
+    if (!code || !state) {
+      return redirectToClient(res, { error: 'invalid_request' });
+    }
+
+    // Each state can be used exactly once
+    const loginState = await OidcState.findOneAndDelete({
+      state,
+      providerId: provider.id,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!loginState) {
+      return redirectToClient(res, { error: 'invalid_state' });
+    }
+
+    const tokens = await exchangeCode(provider, code, loginState.codeVerifier);
+    if (!tokens.id_token) {
+      return redirectToClient(res, { error: 'missing_id_token' });
+    }
+
+    const claims = await verifyIdToken(provider, tokens.id_token, loginState.nonce);
+
+    const { user, error } = await findOrCreateOidcUser(provider, claims);
+    if (error) {
+      return redirectToClient(res, { error });
+    }
+
+    // The second factor still applies to logins through an IdP
+    if (user.twoFactorEnabled) {
+      return redirectToClient(res, { twoFactorRequired: 'true', challengeToken: await createLoginChallenge(user) });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    redirectToClient(res, { token, refreshToken });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectToClient(res, { error: 'login_failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Person, Movie } = require('../models');
+const { authMiddleware, requirePermission, requireScope } = require('../middleware/auth');
+const { NAME_COLLATION, ratingStats } = require('../utils/people');
+const { invalidateAutocompleteIndex } = require('../utils/autocomplete');
+const { invalidateSimilarCache } = require('../utils/similar');
+const { snapshotOf, recordRevision } = require('../utils/revisions');
+
+const router = express.Router();
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// @route   GET /api/people
+// @desc    List people, optionally searching names and aliases
+// @access  Public
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('search').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+      filter.$or = [{ name: pattern }, { aliases: pattern }];
+    }
+
+    const people = await Person.find(filter)
+      .select('name aliases photoUrl tmdbPersonId')
+      .collation(NAME_COLLATION)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Person.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      people,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalPeople: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get people error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/people/:id
+// @desc    Get a person with their filmography and how their films are rated
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const person = await Person.findById(req.params.id).lean();
+    if (!person) {
+      return res.status(404).json({ message: 'Person not found' });
+    }
+
+    const movies = await Movie.find({ 'credits.personId': person._id })
+      .select('title releaseYear posterUrl posterImages genre averageRating totalReviews credits')
+      .sort({ releaseYear: -1 })
+      .lean();
+
+    const filmography = movies.map(movie => ({
+      _id: movie._id,
+      title: movie.title,
+      releaseYear: movie.releaseYear,
+      posterUrl: movie.posterUrl,
+      posterImages: movie.posterImages,
+      genre: movie.genre,
+      averageRating: movie.averageRating,
+      totalReviews: movie.totalReviews,
+      roles: movie.credits
+        .filter(credit => credit.personId.equals(person._id))
+        .map(credit => ({ role: credit.role, character: credit.character }))
+    }));
+
+    const withRole = role => filmography.filter(movie => movie.roles.some(credit => credit.role === role));
+
+    res.json({
+      person,
+      filmography,
+      stats: {
+        ...ratingStats(filmography),
+        asDirector: ratingStats(withRole('director')),
+        asCast: ratingStats(withRole('cast'))
+      }
+    });
+  } catch (error) {
+    console.error('Get person error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/people/:id
+// @desc    Update a person
+// @access  Private (movie:write)
+router.put('/:id', [
+  authMiddleware,
+  requireScope('movies:write'),
+  requirePermission('movie:write'),
+  body('name').optional().isString().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('aliases').optional().isArray().withMessage('Aliases must be an array'),
+  body('aliases.*').isString().trim().notEmpty().withMessage('Aliases cannot be empty'),
+  body('bio').optional().isString().isLength({ max: 5000 }).withMessage('Bio must be at most 5000 characters'),
+  body('photoUrl').optional({ values: 'null' }).isURL().withMessage('Photo URL must be a valid URL'),
+  body('tmdbPersonId').optional().isInt({ min: 1 }).withMessage('TMDB person ID must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const person = await Person.findById(req.params.id);
+    if (!person) {
+      return res.status(404).json({ message: 'Person not found' });
+    }
+
+    const { name, aliases, bio, photoUrl, tmdbPersonId } = req.body;
+
+    if (tmdbPersonId !== undefined &&
+      await Person.exists({ tmdbPersonId, _id: { $ne: person._id } })) {
+      return res.status(400).json({ message: 'TMDB person ID already belongs to someone else' });
+    }
+
+    const renamed = name !== undefined && name !== person.name;
+    if (name !== undefined) person.name = name;
+    if (aliases !== undefined) person.aliases = [...new Set(aliases)];
+    if (bio !== undefined) person.bio = bio;
+    if (photoUrl !== undefined) person.photoUrl = photoUrl;
+    if (tmdbPersonId !== undefined) person.tmdbPersonId = tmdbPersonId;
+    await person.save();
+
+    // Keep the names stored on credited movies in step
+    if (renamed) {
+      const movies = await Movie.find({ 'credits.personId': person._id }).setOptions({ withDeleted: true });
+      for (const movie of movies) {
+        const previous = snapshotOf(movie);
+        for (const credit of movie.credits) {
+          if (!credit.personId.equals(person._id)) continue;
+          if (credit.role === 'director') {
+            movie.director = person.name;
+          } else if (movie.cast[credit.order]) {
+            movie.cast[credit.order].name = person.name;
+          }
+        }
+        await movie.save();
+        await recordRevision(movie, { action: 'update', authorId: req.user._id, previous });
+      }
+      invalidateAutocompleteIndex();
+      invalidateSimilarCache();
+    }
+
+    res.json({
+      message: 'Person updated successfully',
+      person
+    });
+  } catch (error) {
+    console.error('Update person error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
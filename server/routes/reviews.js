@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { Review, Movie } = require('../models');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireVerifiedEmail, requirePermission, requireScope } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
 
 const router = express.Router();
 
@@ -10,6 +11,9 @@ const router = express.Router();
 // @access  Private
 router.post('/', [
   authMiddleware,
+  requireScope('reviews:write'),
+  requirePermission('review:write'),
+  requireVerifiedEmail,
   body('movieId').isMongoId().withMessage('Valid movie ID is required'),
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('reviewText').isLength({ min: 10, max: 2000 }).withMessage('Review text must be between 10 and 2000 characters')
@@ -49,7 +53,7 @@ router.post('/', [
     await review.save();
 
     // Populate the review with user data
-    await review.populate('userId', 'username profilePicture');
+    await review.populate('userId', 'username profilePicture profileImages');
 
     res.status(201).json({
       message: 'Review submitted successfully',
@@ -78,7 +82,7 @@ router.get('/movie/:movieId', async (req, res) => {
     }
 
     const reviews = await Review.find({ movieId })
-      .populate('userId', 'username profilePicture')
+      .populate('userId', 'username profilePicture profileImages')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -113,14 +117,17 @@ router.get('/user/:userId', async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const reviews = await Review.find({ userId })
-      .populate('movieId', 'title posterUrl releaseYear')
+    // Leave out reviews of deleted movies
+    const filter = { userId, movieDeleted: { $ne: true } };
+
+    const reviews = await Review.find(filter)
+      .populate('movieId', 'title posterUrl posterImages releaseYear')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
-    const total = await Review.countDocuments({ userId });
+    const total = await Review.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
 
     res.json({
@@ -142,21 +149,24 @@ router.get('/user/:userId', async (req, res) => {
 // @route   GET /api/reviews/my-reviews
 // @desc    Get current user's reviews
 // @access  Private
-router.get('/my-reviews', authMiddleware, async (req, res) => {
+router.get('/my-reviews', [authMiddleware, requireScope('reviews:read')], async (req, res) => {
   try {
     const userId = req.user._id;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const reviews = await Review.find({ userId })
-      .populate('movieId', 'title posterUrl releaseYear')
+    // Leave out reviews of deleted movies
+    const filter = { userId, movieDeleted: { $ne: true } };
+
+    const reviews = await Review.find(filter)
+      .populate('movieId', 'title posterUrl posterImages releaseYear')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
-    const total = await Review.countDocuments({ userId });
+    const total = await Review.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
 
     res.json({
@@ -180,6 +190,8 @@ router.get('/my-reviews', authMiddleware, async (req, res) => {
 // @access  Private
 router.put('/:reviewId', [
   authMiddleware,
+  requireScope('reviews:write'),
+  requirePermission('review:write'),
   body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('reviewText').optional().isLength({ min: 10, max: 2000 }).withMessage('Review text must be between 10 and 2000 characters')
 ], async (req, res) => {
@@ -208,7 +220,7 @@ router.put('/:reviewId', [
       reviewId,
       updateData,
       { new: true, runValidators: true }
-    ).populate('userId', 'username profilePicture');
+    ).populate('userId', 'username profilePicture profileImages');
 
     res.json({
       message: 'Review updated successfully',
@@ -221,14 +233,19 @@ router.put('/:reviewId', [
 });
 
 // @route   DELETE /api/reviews/:reviewId
-// @desc    Delete a review
+// @desc    Delete a review (own review, or any review with review:moderate)
 // @access  Private
-router.delete('/:reviewId', authMiddleware, async (req, res) => {
+router.delete('/:reviewId', [authMiddleware, requireScope('reviews:write')], async (req, res) => {
   try {
     const { reviewId } = req.params;
     const userId = req.user._id;
 
-    const review = await Review.findOneAndDelete({ _id: reviewId, userId });
+    const filter = { _id: reviewId };
+    if (!hasPermission(req.user, 'review:moderate')) {
+      filter.userId = userId;
+    }
+
+    const review = await Review.findOneAndDelete(filter);
     if (!review) {
       return res.status(404).json({ message: 'Review not found' });
     }
@@ -243,7 +260,7 @@ router.delete('/:reviewId', authMiddleware, async (req, res) => {
 // @route   POST /api/reviews/:reviewId/helpful
 // @desc    Mark a review as helpful
 // @access  Private
-router.post('/:reviewId/helpful', authMiddleware, async (req, res) => {
+router.post('/:reviewId/helpful', [authMiddleware, requireScope('reviews:write')], async (req, res) => {
   try {
     const { reviewId } = req.params;
 
@@ -0,0 +1,81 @@
+const express = require('express');
+const { Session } = require('../models');
+const { authMiddleware, requireSession } = require('../middleware/auth');
+const { revokeSession } = require('../utils/tokens');
+
+const router = express.Router();
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/', [authMiddleware, requireSession], async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/sessions/revoke-others
+// @desc    Log out everywhere except the current session
+// @access  Private
+router.post('/revoke-others', [authMiddleware, requireSession], async (req, res) => {
+  try {
+    const result = await Session.updateMany(
+      { userId: req.user._id, _id: { $ne: req.authSession._id }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked_by_user' }
+    );
+
+    res.json({
+      message: 'Logged out of all other sessions',
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke a single session
+// @access  Private
+router.delete('/:sessionId', [authMiddleware, requireSession], async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      userId: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'revoked_by_user');
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PersonalAccessToken } = require('../models');
+const { authMiddleware, requireSession } = require('../middleware/auth');
+const { TOKEN_SCOPES, createPersonalAccessToken } = require('../utils/personalAccessTokens');
+
+const router = express.Router();
+
+const MAX_TOKENS_PER_USER = 50;
+
+// Shape a token record for API responses (never includes the hash)
+function formatToken(record) {
+  return {
+    id: record._id,
+    name: record.name,
+    tokenPrefix: record.tokenPrefix,
+    scopes: record.scopes,
+    expiresAt: record.expiresAt,
+    lastUsedAt: record.lastUsedAt,
+    createdAt: record.createdAt
+  };
+}
+
+// @route   GET /api/auth/tokens
+// @desc    List the current user's active personal access tokens
+// @access  Private
+router.get('/', [authMiddleware, requireSession], async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({ userId: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      tokens: tokens.map(formatToken),
+      availableScopes: TOKEN_SCOPES
+    });
+  } catch (error) {
+    console.error('Get tokens error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal access token (the value is only returned once)
+// @access  Private
+router.post('/', [
+  authMiddleware,
+  requireSession,
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(TOKEN_SCOPES).withMessage(`Scopes must be one of: ${TOKEN_SCOPES.join(', ')}`),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes } = req.body;
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+
+    if (expiresAt && expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'Expiry must be in the future' });
+    }
+
+    const activeCount = await PersonalAccessToken.countDocuments({ userId: req.user._id, revokedAt: null });
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({ message: `You can have at most ${MAX_TOKENS_PER_USER} active tokens` });
+    }
+
+    const { token, record } = await createPersonalAccessToken(req.user._id, { name, scopes, expiresAt });
+
+    res.status(201).json({
+      message: 'Token created successfully. Copy it now, it will not be shown again.',
+      token,
+      tokenInfo: formatToken(record)
+    });
+  } catch (error) {
+    console.error('Create token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/tokens/:tokenId
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/:tokenId', [authMiddleware, requireSession], async (req, res) => {
+  try {
+    const token = await PersonalAccessToken.findOneAndUpdate(
+      { _id: req.params.tokenId, userId: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!token) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+
+    res.json({ message: 'Token revoked successfully' });
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
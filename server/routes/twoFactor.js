@@ -0,0 +1,204 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { User } = require('../models');
+const { authMiddleware, requireSession } = require('../middleware/auth');
+const { hashToken } = require('../utils/tokens');
+const { generateSecret, buildOtpauthUri, generateRecoveryCodes } = require('../utils/totp');
+const {
+  TWO_FACTOR_ISSUER,
+  isTwoFactorRequiredForAdmins,
+  verifyTotpForUser,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+
+const router = express.Router();
+
+// Generate a fresh set of recovery codes, store their hashes and return them
+async function resetRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+
+  await User.updateOne({ _id: userId }, {
+    twoFactorRecoveryCodes: recoveryCodes.map(code => hashToken(code))
+  });
+
+  return recoveryCodes;
+}
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get two-factor status for the current user
+// @access  Private
+router.get('/status', [authMiddleware, requireSession], async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorRecoveryCodes');
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      required: user.isAdmin && isTwoFactorRequiredForAdmins(),
+      recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment and return the otpauth URI
+// @access  Private
+router.post('/setup', [authMiddleware, requireSession], async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { twoFactorPendingSecret: secret });
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: TWO_FACTOR_ISSUER
+      })
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm enrollment with a code from the authenticator app
+// @access  Private
+router.post('/confirm', [
+  authMiddleware,
+  requireSession,
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const isValid = await verifyTotpForUser(req.user._id, req.body.code, 'twoFactorPendingSecret');
+    if (!isValid) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+    await User.updateOne({ _id: user._id }, {
+      twoFactorEnabled: true,
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorPendingSecret: null
+    });
+
+    const recoveryCodes = await resetRecoveryCodes(user._id);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes with a new set
+// @access  Private
+router.post('/recovery-codes', [
+  authMiddleware,
+  requireSession,
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValid = await verifyTotpForUser(req.user._id, req.body.code);
+    if (!isValid) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    const recoveryCodes = await resetRecoveryCodes(req.user._id);
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires password and a code)
+// @access  Private
+router.post('/disable', [
+  authMiddleware,
+  requireSession,
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (req.user.isAdmin && isTwoFactorRequiredForAdmins()) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for admin accounts' });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    const isValid = await verifySecondFactor(user._id, req.body);
+    if (!isValid) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorPendingSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastUsedStep: null
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
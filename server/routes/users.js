@@ -1,7 +1,11 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { User, Review, Watchlist } = require('../models');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { isVerificationRequired, sendVerificationEmail } = require('../utils/emailVerification');
+const { hasPermission } = require('../utils/permissions');
+const { imageUpload } = require('../middleware/upload');
+const { inspectImage, storeImage, deleteImage } = require('../utils/images');
 
 const router = express.Router();
 
@@ -21,19 +25,22 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Leave out activity on deleted movies
+    const visible = { userId: id, movieDeleted: { $ne: true } };
+
     // Get user's reviews
-    const reviews = await Review.find({ userId: id })
-      .populate('movieId', 'title posterUrl releaseYear')
+    const reviews = await Review.find(visible)
+      .populate('movieId', 'title posterUrl posterImages releaseYear')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
-    const totalReviews = await Review.countDocuments({ userId: id });
+    const totalReviews = await Review.countDocuments(visible);
 
     // Get user's watchlist stats
     const watchlistStats = await Watchlist.aggregate([
-      { $match: { userId: id } },
+      { $match: visible },
       {
         $group: {
           _id: '$status',
@@ -60,8 +67,10 @@ router.get('/:id', async (req, res) => {
         username: user.username,
         email: user.email,
         profilePicture: user.profilePicture,
+        profileImages: user.profileImages,
         joinDate: user.joinDate,
-        isAdmin: user.isAdmin
+        isAdmin: user.isAdmin,
+        roles: user.roles
       },
       reviews: {
         data: reviews,
@@ -86,6 +95,7 @@ router.get('/:id', async (req, res) => {
 // @access  Private
 router.put('/:id', [
   authMiddleware,
+  requireScope('profile:write'),
   body('username')
     .optional()
     .isLength({ min: 3, max: 30 })
@@ -114,17 +124,36 @@ router.put('/:id', [
     const { id } = req.params;
     const userId = req.user._id;
 
-    // Check if user is updating their own profile or is admin
-    if (id !== userId.toString() && !req.user.isAdmin) {
+    // Check if user is updating their own profile or can manage users
+    const canManageUsers = hasPermission(req.user, 'user:manage');
+    if (id !== userId.toString() && !canManageUsers) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
     const { username, email, profilePicture } = req.body;
     const updateData = {};
 
+    const targetUser = await User.findById(id);
+    if (!targetUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const emailChanged = email && email !== targetUser.email;
+    // The email is where password resets go, so only a signed-in session may change it
+    if (emailChanged && req.tokenScopes) {
+      return res.status(403).json({ message: 'Email changes are not available to personal access tokens' });
+    }
+    if (emailChanged && isVerificationRequired() && !targetUser.emailVerified && !canManageUsers) {
+      return res.status(403).json({ message: 'Please verify your current email address before changing it' });
+    }
+
     if (username) updateData.username = username;
-    if (email) updateData.email = email;
-    if (profilePicture !== undefined) updateData.profilePicture = profilePicture;
+    if (emailChanged) {
+      updateData.email = email;
+      updateData.emailVerified = false;
+    }
+    const pictureChanged = profilePicture !== undefined && profilePicture !== targetUser.profilePicture;
+    if (pictureChanged) updateData.profilePicture = profilePicture;
 
     // Check if username or email already exists (excluding current user)
     if (username || email) {
@@ -153,6 +182,22 @@ router.put('/:id', [
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // A replaced picture takes its uploaded variants with it, and profiles
+    // keep no history, so their files can go
+    if (pictureChanged) {
+      await deleteImage(targetUser.profileImages);
+    }
+
+    // A new address has to be confirmed again. The update is already saved,
+    // so a failed mail is only logged; the resend endpoint can send it again.
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Verification email error:', error);
+      }
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user: {
@@ -160,8 +205,10 @@ router.put('/:id', [
         username: user.username,
         email: user.email,
         profilePicture: user.profilePicture,
+        profileImages: user.profileImages,
         joinDate: user.joinDate,
-        isAdmin: user.isAdmin
+        isAdmin: user.isAdmin,
+        roles: user.roles
       }
     });
   } catch (error) {
@@ -170,6 +217,57 @@ router.put('/:id', [
   }
 });
 
+// @route   POST /api/users/:id/profile-picture
+// @desc    Upload a profile picture (multipart field "image")
+// @access  Private
+router.post('/:id/profile-picture', [
+  authMiddleware,
+  requireScope('profile:write'),
+  imageUpload('image')
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user is updating their own profile or can manage users
+    if (id !== req.user._id.toString() && !hasPermission(req.user, 'user:manage')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const problem = await inspectImage(req.file.buffer);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    const user = await User.findById(id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const oldImage = user.profileImages;
+    const image = await storeImage(req.file.buffer, 'avatar', `users/${user._id}`);
+
+    user.profilePicture = image.full;
+    user.profileImages = image;
+    await user.save();
+
+    // Profiles keep no history, so the previous upload can go
+    await deleteImage(oldImage);
+
+    res.json({
+      message: 'Profile picture uploaded successfully',
+      user: {
+        id: user._id,
+        username: user.username,
+        profilePicture: user.profilePicture,
+        profileImages: user.profileImages
+      }
+    });
+  } catch (error) {
+    console.error('Upload profile picture error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/users/:id/reviews
 // @desc    Get user's reviews with pagination
 // @access  Public
@@ -186,14 +284,16 @@ router.get('/:id/reviews', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const reviews = await Review.find({ userId: id })
-      .populate('movieId', 'title posterUrl releaseYear averageRating genre')
+    const filter = { userId: id, movieDeleted: { $ne: true } };
+
+    const reviews = await Review.find(filter)
+      .populate('movieId', 'title posterUrl posterImages releaseYear averageRating genre')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
-    const total = await Review.countDocuments({ userId: id });
+    const total = await Review.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
 
     res.json({
@@ -229,13 +329,13 @@ router.get('/:id/watchlist', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const filter = { userId: id };
+    const filter = { userId: id, movieDeleted: { $ne: true } };
     if (status) {
       filter.status = status;
     }
 
     const watchlist = await Watchlist.find(filter)
-      .populate('movieId', 'title posterUrl releaseYear averageRating genre')
+      .populate('movieId', 'title posterUrl posterImages releaseYear averageRating genre')
       .sort({ dateAdded: -1 })
       .skip(skip)
       .limit(limit)
@@ -273,9 +373,12 @@ router.get('/:id/stats', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Leave out activity on deleted movies
+    const visible = { userId: id, movieDeleted: { $ne: true } };
+
     // Get review statistics
     const reviewStats = await Review.aggregate([
-      { $match: { userId: id } },
+      { $match: visible },
       {
         $group: {
           _id: null,
@@ -290,7 +393,7 @@ router.get('/:id/stats', async (req, res) => {
 
     // Get watchlist statistics
     const watchlistStats = await Watchlist.aggregate([
-      { $match: { userId: id } },
+      { $match: visible },
       {
         $group: {
           _id: '$status',
@@ -1,28 +1,43 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { Watchlist, Movie } = require('../models');
-const { authMiddleware } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { Watchlist, Movie, Availability } = require('../models');
+const { authMiddleware, allowQueryToken, requirePermission, requireScope } = require('../middleware/auth');
+const { releaseFilter, releaseEvents, toICalendar } = require('../utils/calendar');
 
 const router = express.Router();
 
 // @route   GET /api/watchlist
-// @desc    Get user's watchlist
+// @desc    Get user's watchlist, with where each movie can currently be watched
+//          (in one region with ?region=US)
 // @access  Private
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', [
+  authMiddleware,
+  requireScope('watchlist:read'),
+  query('region').optional().matches(/^[a-zA-Z]{2}$/).withMessage('Region must be a two-letter country code')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const userId = req.user._id;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
     const status = req.query.status; // want_to_watch, watching, watched
 
-    const filter = { userId };
+    // Leave out deleted movies
+    const filter = { userId, movieDeleted: { $ne: true } };
     if (status) {
       filter.status = status;
     }
 
     const watchlist = await Watchlist.find(filter)
-      .populate('movieId', 'title posterUrl releaseYear averageRating genre')
+      .populate('movieId', 'title posterUrl posterImages releaseYear averageRating genre')
       .sort({ dateAdded: -1 })
       .skip(skip)
       .limit(limit)
@@ -31,8 +46,30 @@ router.get('/', authMiddleware, async (req, res) => {
     const total = await Watchlist.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
 
+    const offerFilter = {
+      movieId: { $in: watchlist.filter(item => item.movieId).map(item => item.movieId._id) },
+      ...Availability.currentFilter()
+    };
+    if (req.query.region) {
+      offerFilter.region = req.query.region.toUpperCase();
+    }
+    const offers = await Availability.find(offerFilter)
+      .select('movieId provider region type url validUntil')
+      .sort({ region: 1, type: 1, provider: 1 })
+      .lean();
+
+    const offersByMovie = new Map();
+    for (const { movieId, ...offer } of offers) {
+      const key = movieId.toString();
+      if (!offersByMovie.has(key)) offersByMovie.set(key, []);
+      offersByMovie.get(key).push(offer);
+    }
+
     res.json({
-      watchlist,
+      watchlist: watchlist.map(item => ({
+        ...item,
+        availability: item.movieId ? offersByMovie.get(item.movieId._id.toString()) || [] : []
+      })),
       pagination: {
         currentPage: page,
         totalPages,
@@ -47,11 +84,56 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   GET /api/watchlist/calendar.ics
+// @desc    iCalendar feed of upcoming releases for movies on the watchlist
+//          (optionally ?region=US); subscribe with ?token=<personal access token>
+// @access  Private
+router.get('/calendar.ics', [
+  allowQueryToken,
+  authMiddleware,
+  requireScope('watchlist:read'),
+  query('region').optional().matches(/^[a-zA-Z]{2}$/).withMessage('Region must be a two-letter country code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Watched movies need no reminder
+    const movieIds = await Watchlist.find({ userId: req.user._id, status: { $ne: 'watched' } }).distinct('movieId');
+
+    // Keep a week of past releases so events don't vanish on the day itself
+    const now = new Date();
+    const window = {
+      from: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000),
+      until: new Date(now.getTime() + 365 * 24 * 60 * 60 * 1000),
+      region: req.query.region || null
+    };
+
+    const movies = await Movie.find({ _id: { $in: movieIds }, ...releaseFilter(window) })
+      .select('title synopsis releaseDates')
+      .lean();
+
+    res.type('text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.send(toICalendar(releaseEvents(movies, window), { name: `${req.user.username}'s watchlist releases` }));
+  } catch (error) {
+    console.error('Get watchlist calendar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/watchlist
 // @desc    Add movie to watchlist
 // @access  Private
 router.post('/', [
   authMiddleware,
+  requireScope('watchlist:write'),
+  requirePermission('watchlist:write'),
   body('movieId').isMongoId().withMessage('Valid movie ID is required'),
   body('status').optional().isIn(['want_to_watch', 'watching', 'watched']).withMessage('Invalid status')
 ], async (req, res) => {
@@ -87,7 +169,7 @@ router.post('/', [
     });
 
     await watchlistItem.save();
-    await watchlistItem.populate('movieId', 'title posterUrl releaseYear averageRating genre');
+    await watchlistItem.populate('movieId', 'title posterUrl posterImages releaseYear averageRating genre');
 
     res.status(201).json({
       message: 'Movie added to watchlist successfully',
@@ -104,6 +186,8 @@ router.post('/', [
 // @access  Private
 router.put('/:movieId', [
   authMiddleware,
+  requireScope('watchlist:write'),
+  requirePermission('watchlist:write'),
   body('status').isIn(['want_to_watch', 'watching', 'watched']).withMessage('Invalid status')
 ], async (req, res) => {
   try {
@@ -123,7 +207,7 @@ router.put('/:movieId', [
       { userId, movieId },
       { status },
       { new: true, runValidators: true }
-    ).populate('movieId', 'title posterUrl releaseYear averageRating genre');
+    ).populate('movieId', 'title posterUrl posterImages releaseYear averageRating genre');
 
     if (!watchlistItem) {
       return res.status(404).json({ message: 'Watchlist item not found' });
@@ -142,7 +226,7 @@ router.put('/:movieId', [
 // @route   DELETE /api/watchlist/:movieId
 // @desc    Remove movie from watchlist
 // @access  Private
-router.delete('/:movieId', authMiddleware, async (req, res) => {
+router.delete('/:movieId', [authMiddleware, requireScope('watchlist:write'), requirePermission('watchlist:write')], async (req, res) => {
   try {
     const { movieId } = req.params;
     const userId = req.user._id;
@@ -162,7 +246,7 @@ router.delete('/:movieId', authMiddleware, async (req, res) => {
 // @route   GET /api/watchlist/check/:movieId
 // @desc    Check if movie is in user's watchlist
 // @access  Private
-router.get('/check/:movieId', authMiddleware, async (req, res) => {
+router.get('/check/:movieId', [authMiddleware, requireScope('watchlist:read')], async (req, res) => {
   try {
     const { movieId } = req.params;
     const userId = req.user._id;
@@ -182,12 +266,12 @@ router.get('/check/:movieId', authMiddleware, async (req, res) => {
 // @route   GET /api/watchlist/stats
 // @desc    Get watchlist statistics
 // @access  Private
-router.get('/stats', authMiddleware, async (req, res) => {
+router.get('/stats', [authMiddleware, requireScope('watchlist:read')], async (req, res) => {
   try {
     const userId = req.user._id;
 
     const stats = await Watchlist.aggregate([
-      { $match: { userId } },
+      { $match: { userId, movieDeleted: { $ne: true } } },
       {
         $group: {
           _id: '$status',
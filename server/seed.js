@@ -3,7 +3,8 @@ const bcrypt = require('bcryptjs');
 require('dotenv').config();
 
 // Import models
-const { User, Movie, Review, Watchlist } = require('./models');
+const { User, Movie, Person, Review, Watchlist } = require('./models');
+const { linkCredits } = require('./utils/people');
 
 // Sample data
 const sampleUsers = [
@@ -11,28 +12,29 @@ const sampleUsers = [
     username: 'admin',
     email: 'admin@moviereview.com',
     password: 'admin123',
-    isAdmin: true,
+    roles: ['user', 'admin'],
+    emailVerified: true,
     profilePicture: null
   },
   {
     username: 'movielover',
     email: 'user1@example.com',
     password: 'password123',
-    isAdmin: false,
+    emailVerified: true,
     profilePicture: null
   },
   {
     username: 'cinemafan',
     email: 'user2@example.com',
     password: 'password123',
-    isAdmin: false,
+    emailVerified: true,
     profilePicture: null
   },
   {
     username: 'filmcritic',
     email: 'user3@example.com',
     password: 'password123',
-    isAdmin: false,
+    emailVerified: true,
     profilePicture: null
   }
 ];
@@ -229,6 +231,7 @@ async function seedDatabase() {
     // Clear existing data
     await User.deleteMany({});
     await Movie.deleteMany({});
+    await Person.deleteMany({});
     await Review.deleteMany({});
     await Watchlist.deleteMany({});
     console.log('Cleared existing data');
@@ -246,6 +249,7 @@ async function seedDatabase() {
     const movies = [];
     for (const movieData of sampleMovies) {
       const movie = new Movie(movieData);
+      await linkCredits(movie);
       await movie.save();
       movies.push(movie);
     }
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { User, Session, AuditLog } = require('../models');
+const { generateAccessToken } = require('../utils/tokens');
+const { generateSecret, generateCode } = require('../utils/totp');
+const accountRoutes = require('../routes/account');
+const { serve, stub } = require('./helpers');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const MINUTE_MS = 60 * 1000;
+
+let server;
+let user;
+let session;
+const restores = [];
+
+function makeUser(fields) {
+  return {
+    _id: 'user-1',
+    identities: [],
+    twoFactorEnabled: false,
+    deletionScheduledFor: null,
+    comparePassword: async password => password === 'correct horse',
+    save: async () => {},
+    select() {
+      return this;
+    },
+    ...fields
+  };
+}
+
+test.before(async () => {
+  restores.push(
+    stub(User, {
+      findById: () => user,
+      updateOne: async () => ({ modifiedCount: 1 })
+    }),
+    stub(Session, {
+      findOne: async () => session,
+      updateMany: async () => ({})
+    }),
+    stub(AuditLog, { create: async () => ({}) })
+  );
+  server = await serve(accountRoutes);
+});
+
+test.after(async () => {
+  restores.forEach(restore => restore());
+  await server.close();
+});
+
+function signedIn(minutesAgo) {
+  const createdAt = new Date(Date.now() - minutesAgo * MINUTE_MS);
+  session = { _id: 'session-1', createdAt, lastSeenAt: new Date() };
+}
+
+async function deleteAccount(body) {
+  const response = await fetch(server.url, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${generateAccessToken(user, session)}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('password accounts confirm deletion with their password', async () => {
+  user = makeUser();
+  signedIn(0);
+
+  assert.equal((await deleteAccount({})).status, 400);
+  assert.equal((await deleteAccount({ password: 'wrong' })).status, 400);
+
+  const result = await deleteAccount({ password: 'correct horse' });
+  assert.equal(result.status, 200);
+  assert.ok(user.deletionScheduledFor);
+  assert.match(result.body.message, /log in and cancel/);
+});
+
+test('identity provider accounts confirm deletion with a recent sign-in', async () => {
+  user = makeUser({ identities: [{ provider: 'mock', subject: 'sub-1' }] });
+
+  signedIn(60);
+  assert.equal((await deleteAccount({})).status, 400);
+  assert.equal(user.deletionScheduledFor, null);
+
+  signedIn(2);
+  assert.equal((await deleteAccount({})).status, 200);
+  assert.ok(user.deletionScheduledFor);
+});
+
+test('identity provider accounts with 2FA can confirm deletion with a code', async () => {
+  const secret = generateSecret();
+  user = makeUser({ identities: [{ provider: 'mock', subject: 'sub-1' }], twoFactorEnabled: true, twoFactorSecret: secret });
+  signedIn(60);
+
+  assert.equal((await deleteAccount({ code: '12345' })).status, 400);
+  assert.equal((await deleteAccount({ code: generateCode(secret) })).status, 200);
+  assert.ok(user.deletionScheduledFor);
+});
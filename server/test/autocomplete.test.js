@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Movie } = require('../models');
+const { suggest, invalidateAutocompleteIndex } = require('../utils/autocomplete');
+const { stub } = require('./helpers');
+
+const movies = [
+  { _id: 'matrix', title: 'The Matrix', director: 'Lana Wachowski', cast: [{ name: 'Keanu Reeves' }], releaseYear: 1999, totalReviews: 50 },
+  { _id: 'john-wick', title: 'John Wick', director: 'Chad Stahelski', cast: [{ name: 'Keanu Reeves' }], releaseYear: 2014, totalReviews: 30 },
+  { _id: 'amelie', title: 'Amélie', director: 'Jean-Pierre Jeunet', cast: [{ name: 'Audrey Tautou' }], releaseYear: 2001, totalReviews: 5 },
+  { _id: 'heat', title: 'Heat', director: 'Michael Mann', cast: [{ name: 'Al Pacino' }], releaseYear: 1995, totalReviews: 5 },
+  { _id: 'heathers', title: 'Heathers', director: 'Michael Lehmann', cast: [{ name: 'Winona Ryder' }], releaseYear: 1988, totalReviews: 20 }
+];
+
+let catalog = movies;
+let loads = 0;
+let gate = null; // while set, catalog loads wait for it
+const restores = [];
+
+test.before(() => {
+  restores.push(stub(Movie, {
+    find: () => {
+      loads += 1;
+      const rows = catalog;
+      return { select: () => ({ lean: async () => { await gate; return rows; } }) };
+    }
+  }));
+});
+
+test.after(() => restores.forEach(restore => restore()));
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+const labels = results => results.map(result => result.label);
+
+test('suggestions tolerate typos, accents and partial words', async () => {
+  assert.deepEqual(labels(await suggest('matirx')), ['The Matrix']);
+  assert.deepEqual(labels(await suggest('amelie')), ['Amélie']);
+  assert.deepEqual(labels(await suggest('kenau')), ['Keanu Reeves']);
+  assert.deepEqual(labels(await suggest('matr')), ['The Matrix']);
+  // Short tokens must match exactly
+  assert.deepEqual(await suggest('hat'), []);
+});
+
+test('suggestions rank exact words over prefixes and break ties by popularity', async () => {
+  const heat = await suggest('heat');
+  assert.deepEqual(labels(heat), ['Heat', 'Heathers']);
+  assert.deepEqual(heat.map(result => result.score), [1.35, 1.25]);
+
+  const directors = await suggest('michael', { types: ['director'] });
+  assert.deepEqual(labels(directors), ['Michael Lehmann', 'Michael Mann']);
+  assert.equal(directors[0].movieCount, 1);
+
+  const keanu = await suggest('keanu');
+  assert.deepEqual(keanu, [{ type: 'cast', label: 'Keanu Reeves', movieCount: 2, score: 1.2 }]);
+});
+
+test('an index built before an invalidation is rebuilt on the next lookup', async (t) => {
+  t.after(() => {
+    catalog = movies;
+    gate = null;
+  });
+
+  let release;
+  gate = new Promise(resolve => { release = resolve; });
+  invalidateAutocompleteIndex();
+  const loadsBefore = loads;
+
+  // Starts a rebuild from the current catalog and serves the old index meanwhile
+  await suggest('heat');
+
+  // A movie is added while that rebuild is still reading the catalog
+  catalog = [...movies, { _id: 'heat-2', title: 'Heat 2', director: 'Michael Mann', cast: [], totalReviews: 0 }];
+  invalidateAutocompleteIndex();
+  release();
+  gate = null;
+  await settle();
+
+  await suggest('heat');
+  assert.equal(loads, loadsBefore + 2);
+  await settle();
+
+  assert.deepEqual(labels(await suggest('heat 2')), ['Heat 2']);
+  assert.equal(loads, loadsBefore + 2);
+});
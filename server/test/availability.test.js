@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Availability } = require('../models');
+const availabilityRoutes = require('../routes/availability');
+const { PERSONAL_ACCESS_TOKEN, serve, stub, stubTokenAuth } = require('./helpers');
+
+const curator = { _id: 'user-1', isAdmin: false, roles: ['user', 'curator'] };
+
+test('the availability manage listing needs the movies:read scope', async (t) => {
+  const restores = [
+    stub(Availability, { find: () => ({ sort: () => ({ lean: async () => [{ provider: 'Netflix', region: 'US', type: 'stream' }] }) }) })
+  ];
+  const server = await serve(availabilityRoutes, '/api/movies/:movieId/availability');
+  t.after(async () => {
+    restores.forEach(restore => restore());
+    await server.close();
+  });
+
+  const manage = async scopes => {
+    const restore = stubTokenAuth(curator, scopes);
+    try {
+      const response = await fetch(`${server.url.replace(':movieId', 'movie-1')}/manage`, {
+        headers: { Authorization: `Bearer ${PERSONAL_ACCESS_TOKEN}` }
+      });
+      return { status: response.status, body: await response.json() };
+    } finally {
+      restore();
+    }
+  };
+
+  assert.equal((await manage(['movies:write'])).status, 403);
+
+  const allowed = await manage(['movies:read']);
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.body.availability.length, 1);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { releaseEvents, groupEvents, toICalendar } = require('../utils/calendar');
+
+const from = new Date('2026-10-01T00:00:00Z');
+const until = new Date('2026-12-01T00:00:00Z');
+
+const movies = [
+  {
+    _id: 'm1',
+    title: 'Alpha',
+    synopsis: 'First; with, punctuation',
+    releaseDates: [
+      { region: 'US', type: 'theatrical', date: new Date('2026-10-20T00:00:00Z') },
+      { region: 'GB', type: 'theatrical', date: new Date('2026-10-16T00:00:00Z') },
+      { region: 'US', type: 'digital', date: new Date('2026-11-30T00:00:00Z') },
+      { region: 'US', type: 'digital', date: new Date('2027-01-05T00:00:00Z') }
+    ]
+  },
+  {
+    _id: 'm2',
+    title: 'Beta',
+    synopsis: '',
+    releaseDates: [{ region: 'US', type: 'theatrical', date: new Date('2026-10-20T00:00:00Z') }]
+  }
+];
+
+test('releaseEvents keeps the earliest release per type inside the window', () => {
+  const events = releaseEvents(movies, { from, until });
+  assert.deepEqual(events.map(event => [event.movie.title, event.type, event.region]), [
+    ['Alpha', 'theatrical', 'GB'],
+    ['Beta', 'theatrical', 'US'],
+    ['Alpha', 'digital', 'US']
+  ]);
+});
+
+test('releaseEvents filters by region and type', () => {
+  const events = releaseEvents(movies, { from, until, region: 'us', types: ['theatrical'] });
+  assert.deepEqual(events.map(event => [event.movie.title, event.date.toISOString().slice(0, 10)]), [
+    ['Alpha', '2026-10-20'],
+    ['Beta', '2026-10-20']
+  ]);
+});
+
+test('groupEvents groups by ISO week or month and leaves out empty periods', () => {
+  const events = releaseEvents(movies, { from, until });
+
+  assert.deepEqual(groupEvents(events, 'week').map(group => [group.period, group.releases.length]), [
+    ['2026-W42', 1],
+    ['2026-W43', 1],
+    ['2026-W49', 1]
+  ]);
+  assert.deepEqual(groupEvents(events, 'month').map(group => [group.period, group.releases.length]), [
+    ['2026-10', 2],
+    ['2026-11', 1]
+  ]);
+  assert.equal(groupEvents(events, 'week')[0].start.toISOString(), '2026-10-12T00:00:00.000Z');
+});
+
+test('toICalendar writes escaped, folded all-day events', () => {
+  const events = releaseEvents(movies, { from, until, region: 'US', types: ['theatrical'] });
+  const ics = toICalendar(events, { name: 'Releases', now: new Date('2026-10-19T12:00:00Z') });
+  const lines = ics.split('\r\n');
+
+  assert.equal(lines[0], 'BEGIN:VCALENDAR');
+  assert.equal(lines.at(-2), 'END:VCALENDAR');
+  assert.ok(lines.includes('UID:m1-theatrical-US@movie-review'));
+  assert.ok(lines.includes('DTSTAMP:20261019T120000Z'));
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20261020'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20261021'));
+  assert.ok(lines.includes('DESCRIPTION:First\\; with\\, punctuation'));
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Movie, Watchlist } = require('../models');
+const watchlistRoutes = require('../routes/watchlist');
+const { PERSONAL_ACCESS_TOKEN, serve, stub, stubTokenAuth } = require('./helpers');
+
+const user = { _id: 'user-1', username: 'ana', roles: ['user'] };
+
+let server;
+const restores = [];
+
+test.before(async () => {
+  restores.push(
+    stub(Watchlist, { find: () => ({ distinct: async () => ['movie-1'] }) }),
+    stub(Movie, {
+      find: () => ({
+        select: () => ({
+          lean: async () => [{
+            _id: 'movie-1',
+            title: 'Dune: Part Three',
+            synopsis: 'Paul returns.',
+            releaseDates: [{ region: 'US', type: 'theatrical', date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) }]
+          }]
+        })
+      })
+    })
+  );
+  server = await serve(watchlistRoutes);
+});
+
+test.after(async () => {
+  restores.forEach(restore => restore());
+  await server.close();
+});
+
+async function feed(scopes, { inHeader = false } = {}) {
+  const restore = stubTokenAuth(user, scopes);
+  try {
+    const response = await fetch(`${server.url}/calendar.ics${inHeader ? '' : `?token=${PERSONAL_ACCESS_TOKEN}`}`, {
+      headers: inHeader ? { Authorization: `Bearer ${PERSONAL_ACCESS_TOKEN}` } : {}
+    });
+    return { status: response.status, body: await response.text() };
+  } finally {
+    restore();
+  }
+}
+
+test('the calendar feed takes a watchlist:read token in the URL', async () => {
+  const result = await feed(['watchlist:read']);
+  assert.equal(result.status, 200);
+  assert.match(result.body, /SUMMARY:Dune: Part Three \(in theaters\\, US\)/);
+});
+
+test('tokens with other scopes are refused in the URL but not in the header', async () => {
+  assert.equal((await feed(['watchlist:read', 'watchlist:write'])).status, 403);
+  assert.equal((await feed(['watchlist:read', 'profile:write'])).status, 403);
+  assert.equal((await feed(['watchlist:read', 'watchlist:write'], { inHeader: true })).status, 200);
+});
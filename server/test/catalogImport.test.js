@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Movie, MovieRevision, Person, CatalogImport } = require('../models');
+const { importCatalog } = require('../utils/catalog');
+const { stub } = require('./helpers');
+
+let catalog;
+const restores = [];
+
+test.before(() => {
+  restores.push(
+    stub(Movie, {
+      findOne: filter => ({
+        setOptions: async () => catalog.find(movie => Object.entries(filter).every(([field, value]) => movie[field] === value)) || null
+      })
+    }),
+    stub(Movie.prototype, {
+      save: async function() {
+        if (!catalog.includes(this)) catalog.push(this);
+        return this;
+      }
+    }),
+    stub(Person, { findOne: () => ({ collation: async () => ({ _id: new mongoose.Types.ObjectId() }) }) }),
+    stub(MovieRevision, {
+      findOne: () => ({ sort: () => ({ select: () => ({ lean: async () => null }) }) }),
+      create: async data => data
+    }),
+    stub(CatalogImport, { create: async data => data })
+  );
+});
+
+test.beforeEach(() => {
+  catalog = [];
+});
+
+test.after(() => restores.forEach(restore => restore()));
+
+const heat = {
+  title: 'Heat',
+  releaseYear: '1995',
+  genre: 'Crime|Thriller',
+  director: 'Michael Mann',
+  cast: 'Al Pacino:Vincent Hanna|Robert De Niro:Neil McCauley',
+  synopsis: 'A detective hunts a crew of professional thieves.',
+  tmdbId: '949'
+};
+
+test('a row matching a movie created earlier in the file is a duplicate in dry and real runs alike', async () => {
+  // The second row finds the first only through the catalog once it is written
+  const records = [heat, { ...heat, title: 'Heat (1995)', imdbId: 'tt0113277' }];
+
+  const dryRun = await importCatalog(records, { format: 'csv', dryRun: true, authorId: null });
+  const realRun = await importCatalog(records, { format: 'csv', dryRun: false, authorId: null });
+
+  for (const report of [dryRun, realRun]) {
+    assert.deepEqual(report.summary, { created: 1, updated: 0, unchanged: 0, failed: 1 });
+    assert.deepEqual(report.results[1].messages, ['Duplicate of row 1']);
+  }
+  assert.equal(catalog.length, 1);
+});
+
+test('invalid rows are reported without stopping the import', async () => {
+  const report = await importCatalog([{ ...heat, releaseYear: 'soon' }, { title: 'Untitled' }], {
+    format: 'csv',
+    dryRun: true,
+    authorId: null
+  });
+
+  assert.deepEqual(report.summary, { created: 0, updated: 0, unchanged: 0, failed: 2 });
+  assert.deepEqual(report.results[0].messages, ['releaseYear must be a whole number']);
+  assert.ok(report.results[1].messages.includes('director is required'));
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Collection } = require('../models');
+const collectionRoutes = require('../routes/collections');
+const { PERSONAL_ACCESS_TOKEN, serve, stub, stubTokenAuth } = require('./helpers');
+
+const curator = { _id: 'user-1', isAdmin: false, roles: ['user', 'curator'] };
+
+async function request(url, method, body) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${PERSONAL_ACCESS_TOKEN}` },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('the manage listing needs the movies:read scope', async (t) => {
+  const restores = [
+    stubTokenAuth(curator, ['movies:write']),
+    stub(Collection, { find: () => ({ sort: () => ({ lean: async () => [] }) }) })
+  ];
+  const server = await serve(collectionRoutes);
+  t.after(async () => {
+    restores.forEach(restore => restore());
+    await server.close();
+  });
+
+  const result = await request(`${server.url}/manage`, 'GET');
+  assert.equal(result.status, 403);
+});
+
+test('collections must be published before they are unpublished', async (t) => {
+  const saved = [];
+  const restores = [
+    stubTokenAuth(curator, ['movies:write']),
+    stub(Collection, {
+      exists: async () => null,
+      findById: () => ({
+        select: () => ({ lean: async () => ({ publishAt: new Date('2026-11-01'), unpublishAt: null }) })
+      }),
+      findByIdAndUpdate: async (id, data) => {
+        saved.push(data);
+        return { _id: id, ...data };
+      }
+    })
+  ];
+  const server = await serve(collectionRoutes);
+  t.after(async () => {
+    restores.forEach(restore => restore());
+    await server.close();
+  });
+
+  const created = await request(server.url, 'POST', {
+    title: 'Halloween',
+    publishAt: '2026-10-31',
+    unpublishAt: '2026-10-01'
+  });
+  assert.equal(created.status, 400);
+  assert.equal(created.body.message, 'Unpublish date must be after the publish date');
+
+  // Checked against the stored publish date when only one date changes
+  const updated = await request(`${server.url}/collection-1`, 'PUT', { unpublishAt: '2026-10-15' });
+  assert.equal(updated.status, 400);
+
+  const fixed = await request(`${server.url}/collection-1`, 'PUT', { unpublishAt: '2026-11-15' });
+  assert.equal(fixed.status, 200);
+  assert.equal(saved.length, 1);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+test('toCsv quotes cells with separators, quotes and line breaks', () => {
+  const csv = toCsv([
+    { title: 'Crouching Tiger, Hidden Dragon', note: 'The "wuxia" one', empty: null },
+    { title: 'Two\nLines', note: 'plain', empty: undefined }
+  ], ['title', 'note', 'empty']);
+
+  assert.equal(csv, 'title,note,empty\r\n"Crouching Tiger, Hidden Dragon","The ""wuxia"" one",\r\n"Two\nLines",plain,\r\n');
+});
+
+test('parseCsv reads what toCsv writes', () => {
+  const rows = [
+    { title: 'Crouching Tiger, Hidden Dragon', note: 'The "wuxia" one' },
+    { title: 'Two\r\nLines', note: '' }
+  ];
+  assert.deepEqual(parseCsv(toCsv(rows, ['title', 'note'])), rows);
+});
+
+test('toCsv keeps text that starts like a formula from running in spreadsheets', () => {
+  const rows = [
+    { title: '=HYPERLINK("http://evil.example")', note: '+1', director: '-Ism', cast: '@me' },
+    { title: '\tTabbed', note: 'a=b', director: -5, cast: 'Heat' }
+  ];
+  const csv = toCsv(rows, ['title', 'note', 'director', 'cast']);
+
+  assert.equal(csv, 'title,note,director,cast\r\n' +
+    '"\'=HYPERLINK(""http://evil.example"")",\'+1,\'-Ism,\'@me\r\n' +
+    '\'\tTabbed,a=b,-5,Heat\r\n');
+  assert.deepEqual(parseCsv(csv), rows.map(row => ({ ...row, director: String(row.director) })));
+});
+
+test('parseCsv skips a byte order mark and blank lines, and fills missing cells', () => {
+  const text = '\uFEFFtitle , year\n\nHeat,1995\nAlien\n';
+  assert.deepEqual(parseCsv(text), [
+    { title: 'Heat', year: '1995' },
+    { title: 'Alien', year: '' }
+  ]);
+});
+
+test('parseCsv rejects an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('title\n"Heat'), /Unterminated quoted field/);
+  assert.deepEqual(parseCsv(''), []);
+});
@@ -0,0 +1,63 @@
+const express = require('express');
+
+// Minimal stand-in for the TMDB API, for tests that point TMDB_BASE_URL at it.
+// Serves search and movie details from the movies passed in (TMDB-shaped
+// objects that may also carry credits, release_dates and translations).
+// Paths listed in failing answer 500. Every request is kept in requests.
+async function startFakeTmdb({ apiKey, movies = [] }) {
+  const byId = new Map(movies.map(movie => [String(movie.id), movie]));
+  const failing = new Set();
+  const requests = [];
+
+  const app = express();
+  app.use((req, res, next) => {
+    requests.push({ path: req.path, query: req.query });
+    if (req.query.api_key !== apiKey) {
+      return res.status(401).json({ status_message: 'Invalid API key' });
+    }
+    if (failing.has(req.path)) {
+      return res.status(500).json({ status_message: 'Internal error' });
+    }
+    next();
+  });
+
+  app.get('/search/movie', (req, res) => {
+    const query = String(req.query.query || '').toLowerCase();
+    const results = movies
+      .filter(movie => movie.title.toLowerCase().includes(query))
+      .map(({ id, title, original_title, release_date, overview, poster_path }) =>
+        ({ id, title, original_title, release_date, overview, poster_path }));
+    res.json({ page: 1, total_pages: 1, total_results: results.length, results });
+  });
+
+  const findMovie = (req, res, next) => {
+    req.movie = byId.get(req.params.id);
+    if (!req.movie) {
+      return res.status(404).json({ status_message: 'The resource you requested could not be found.' });
+    }
+    next();
+  };
+
+  app.get('/movie/:id', findMovie, (req, res) => {
+    const { credits, release_dates, translations, ...details } = req.movie;
+    res.json(details);
+  });
+  app.get('/movie/:id/credits', findMovie, (req, res) => res.json(req.movie.credits || { cast: [], crew: [] }));
+  app.get('/movie/:id/release_dates', findMovie, (req, res) => res.json({ results: req.movie.release_dates || [] }));
+  app.get('/movie/:id/translations', findMovie, (req, res) => res.json({ translations: req.movie.translations || [] }));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    fail: path => failing.add(path),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  startFakeTmdb
+};
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { User, Session, PersonalAccessToken } = require('../models');
+const { setTransport } = require('../utils/mailer');
+const authRoutes = require('../routes/auth');
+const { serve, stub } = require('./helpers');
+
+async function forgotPassword(url, email) {
+  const response = await fetch(`${url}/forgot-password`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('forgot-password answers the same for unknown and registered emails, even when mail fails', async (t) => {
+  const restore = stub(User, {
+    findOne: async ({ email }) => (email === 'ana@example.com' ? { _id: 'u1', email, username: 'ana' } : null),
+    updateOne: async () => ({ acknowledged: true })
+  });
+  const sent = [];
+  const server = await serve(authRoutes);
+  t.after(async () => {
+    restore();
+    await server.close();
+  });
+
+  setTransport({ send: async message => sent.push(message) });
+  const unknown = await forgotPassword(server.url, 'nobody@example.com');
+  const registered = await forgotPassword(server.url, 'ana@example.com');
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].text, /reset-password\?token=[0-9a-f]{64}/);
+
+  setTransport({ send: async () => { throw new Error('SMTP down'); } });
+  const failed = await forgotPassword(server.url, 'ana@example.com');
+
+  assert.deepEqual(registered, unknown);
+  assert.deepEqual(failed, unknown);
+  assert.equal(unknown.status, 200);
+});
+
+test('reset-password signs out sessions and tokens, and succeeds even when the notice fails', async (t) => {
+  const revoked = [];
+  const user = { _id: 'u1', email: 'ana@example.com', username: 'ana', save: async () => {} };
+  const restores = [
+    stub(User, { findOneAndUpdate: async () => user }),
+    stub(Session, { updateMany: async ({ userId }) => revoked.push(`sessions:${userId}`) }),
+    stub(PersonalAccessToken, { updateMany: async ({ userId }) => revoked.push(`tokens:${userId}`) })
+  ];
+  const server = await serve(authRoutes);
+  t.after(async () => {
+    restores.forEach(restore => restore());
+    await server.close();
+  });
+  t.mock.method(console, 'error', () => {});
+  setTransport({ send: async () => { throw new Error('SMTP down'); } });
+
+  const response = await fetch(`${server.url}/reset-password`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token: 'a'.repeat(64), password: 'new secret' })
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(user.password, 'new secret');
+  assert.deepEqual(revoked, ['sessions:u1', 'tokens:u1']);
+});
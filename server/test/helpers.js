@@ -0,0 +1,52 @@
+const express = require('express');
+const { User, PersonalAccessToken } = require('../models');
+
+// Serve a router on a random local port; returns its base URL and a close function
+async function serve(router, mountPath = '/') {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}${mountPath === '/' ? '' : mountPath}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Replace methods on an object for one test; returns a function that restores them
+function stub(target, methods) {
+  const originals = {};
+  for (const [name, implementation] of Object.entries(methods)) {
+    originals[name] = target[name];
+    target[name] = implementation;
+  }
+  return () => Object.assign(target, originals);
+}
+
+// Authenticate requests bearing PERSONAL_ACCESS_TOKEN as user, with the given
+// scopes. Stubs User.findById, so route stubs should handle the user too.
+const PERSONAL_ACCESS_TOKEN = 'mrp_test-token';
+
+function stubTokenAuth(user, scopes) {
+  const restoreToken = stub(PersonalAccessToken, {
+    findOne: async () => ({ userId: user._id, scopes, lastUsedAt: new Date() })
+  });
+  const restoreUser = stub(User, {
+    findById: () => ({ select: async () => user })
+  });
+  return () => {
+    restoreUser();
+    restoreToken();
+  };
+}
+
+module.exports = {
+  PERSONAL_ACCESS_TOKEN,
+  serve,
+  stub,
+  stubTokenAuth
+};
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeLocale, pickTranslation, localizeMovie } = require('../utils/i18n');
+
+const translations = [
+  { locale: 'fr', title: 'Le Parrain', synopsis: null },
+  { locale: 'fr-CA', title: 'Le Parrain (Québec)', synopsis: 'Synopsis québécois' },
+  { locale: 'pt-BR', title: 'O Poderoso Chefão', synopsis: 'Sinopse' },
+  { locale: 'en-GB', title: 'The Godfather (UK)', synopsis: null }
+];
+
+test('normalizeLocale canonicalises tags and rejects anything else', () => {
+  assert.equal(normalizeLocale('pt_br'), 'pt-BR');
+  assert.equal(normalizeLocale('ZH-hant-tw'), 'zh-Hant-TW');
+  assert.equal(normalizeLocale('es-419'), 'es-419');
+  assert.equal(normalizeLocale('english'), null);
+  assert.equal(normalizeLocale(undefined), null);
+});
+
+test('pickTranslation prefers the exact tag, then the bare language, then a regional variant', () => {
+  assert.equal(pickTranslation(translations, ['fr-CA'], 'title').locale, 'fr-CA');
+  assert.equal(pickTranslation(translations, ['fr-BE'], 'title').locale, 'fr');
+  assert.equal(pickTranslation(translations, ['pt'], 'title').locale, 'pt-BR');
+});
+
+test('pickTranslation skips entries without the field and tries the next locale', () => {
+  assert.equal(pickTranslation(translations, ['fr'], 'synopsis').locale, 'fr-CA');
+  assert.equal(pickTranslation(translations, ['de', 'pt-PT'], 'title').locale, 'pt-BR');
+  assert.equal(pickTranslation(translations, ['de'], 'title'), null);
+});
+
+test('pickTranslation keeps the original text for the catalog language unless the region matches exactly', () => {
+  assert.equal(pickTranslation(translations, ['en-GB'], 'title').locale, 'en-GB');
+  assert.equal(pickTranslation(translations, ['en-US', 'fr'], 'title'), null);
+  assert.equal(pickTranslation(translations, ['en'], 'title'), null);
+});
+
+test('localizeMovie swaps title and synopsis and labels genres', () => {
+  const movie = { title: 'The Godfather', synopsis: 'Original', genre: ['Crime'], translations };
+  const labels = new Map([['Crime', [{ locale: 'pt', label: 'Crime (pt)' }]]]);
+
+  const localized = localizeMovie(movie, ['pt-BR'], labels);
+  assert.equal(localized.title, 'O Poderoso Chefão');
+  assert.equal(localized.originalTitle, 'The Godfather');
+  assert.equal(localized.synopsis, 'Sinopse');
+  assert.equal(localized.locale, 'pt-BR');
+  assert.deepEqual(localized.genreLabels, ['Crime (pt)']);
+  assert.equal(localized.translations, undefined);
+});
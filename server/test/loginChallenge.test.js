@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { User, LoginChallenge, LoginThrottle, Session, RefreshToken } = require('../models');
+const { generateSecret, generateCode } = require('../utils/totp');
+const authRoutes = require('../routes/auth');
+const { serve, stub } = require('./helpers');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const secret = generateSecret();
+const user = {
+  _id: 'user-1',
+  email: 'ana@example.com',
+  username: 'ana',
+  twoFactorEnabled: true,
+  twoFactorSecret: secret,
+  comparePassword: async password => password === 'correct horse',
+  select() {
+    return this;
+  }
+};
+
+let server;
+let challenges;
+const restores = [];
+
+// Enough of the query language for the filters twoFactor.js uses
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('$lt' in condition) return doc[field] < condition.$lt;
+      if ('$gt' in condition) return doc[field] > condition.$gt;
+    }
+    return doc[field] === condition;
+  });
+}
+
+test.before(async () => {
+  restores.push(
+    stub(LoginChallenge, {
+      create: async data => challenges.push({ _id: `challenge-${challenges.length}`, failedAttempts: 0, usedAt: null, ...data }),
+      findOne: async filter => challenges.find(challenge => matches(challenge, filter)) || null,
+      updateOne: async (filter, update) => {
+        const challenge = challenges.find(entry => matches(entry, filter));
+        challenge.failedAttempts += update.$inc.failedAttempts;
+      },
+      findOneAndUpdate: async (filter, update) => {
+        const challenge = challenges.find(entry => matches(entry, filter));
+        return challenge ? Object.assign(challenge, update) : null;
+      }
+    }),
+    stub(User, {
+      findOne: async ({ email }) => (email === user.email ? user : null),
+      findById: () => user,
+      // TOTP replay protection is covered elsewhere; always accept the step here
+      updateOne: async () => ({ modifiedCount: 1 })
+    }),
+    stub(LoginThrottle, {
+      find: () => ({ lean: async () => [] }),
+      findOneAndUpdate: async () => ({ failures: 1 }),
+      updateOne: async () => ({}),
+      deleteOne: async () => ({})
+    }),
+    stub(Session, { create: async data => ({ _id: 'session-1', ...data }) }),
+    stub(RefreshToken, { create: async data => data })
+  );
+  server = await serve(authRoutes);
+});
+
+test.beforeEach(() => {
+  challenges = [];
+});
+
+test.after(async () => {
+  restores.forEach(restore => restore());
+  await server.close();
+});
+
+async function post(path, body) {
+  const response = await fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function startLogin() {
+  const login = await post('/login', { email: user.email, password: 'correct horse' });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.twoFactorRequired, true);
+  return login.body.challengeToken;
+}
+
+test('a login challenge completes exactly one login', async () => {
+  const challengeToken = await startLogin();
+
+  const first = await post('/login/2fa', { challengeToken, code: generateCode(secret) });
+  assert.equal(first.status, 200);
+  assert.ok(first.body.token);
+
+  const replay = await post('/login/2fa', { challengeToken, code: generateCode(secret) });
+  assert.equal(replay.status, 401);
+});
+
+test('a login challenge is rejected after too many wrong codes', async () => {
+  const challengeToken = await startLogin();
+  const wrongCode = generateCode(secret) === '000000' ? '111111' : '000000';
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const wrong = await post('/login/2fa', { challengeToken, code: wrongCode });
+    assert.equal(wrong.status, 400);
+  }
+
+  const correct = await post('/login/2fa', { challengeToken, code: generateCode(secret) });
+  assert.equal(correct.status, 401);
+});
+
+test('an unknown challenge token is rejected', async () => {
+  const result = await post('/login/2fa', { challengeToken: 'not-a-challenge', code: generateCode(secret) });
+  assert.equal(result.status, 401);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const MAILER = path.join(__dirname, '../utils/mailer.js');
+
+// The transport is chosen from the environment when the module loads
+function loadMailer(env) {
+  const script = `
+    const mailer = require(${JSON.stringify(MAILER)});
+    try { mailer.assertMailConfigured(); console.log('ok'); } catch (error) { console.log(error.message); }
+  `;
+  return execFileSync(process.execPath, ['-e', script], {
+    env: { PATH: process.env.PATH, ...env },
+    encoding: 'utf8'
+  }).trim();
+}
+
+test('the console transport is the default outside production', () => {
+  assert.equal(loadMailer({}), 'ok');
+});
+
+test('production has no transport until MAIL_TRANSPORT is set', () => {
+  assert.equal(loadMailer({ NODE_ENV: 'production' }), 'MAIL_TRANSPORT must be set in production');
+  assert.equal(loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'smtp' }), 'ok');
+  assert.equal(loadMailer({ MAIL_TRANSPORT: 'pigeon' }), 'Unknown MAIL_TRANSPORT: pigeon');
+});
+
+test('the file transport writes each message as JSON into the outbox', async () => {
+  const outbox = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+  const script = `
+    require(${JSON.stringify(MAILER)})
+      .sendMail({ to: 'ana@example.com', subject: 'Hello', text: 'Body' })
+      .then(() => console.log('sent'));
+  `;
+  execFileSync(process.execPath, ['-e', script], {
+    env: { PATH: process.env.PATH, MAIL_TRANSPORT: 'file', MAIL_OUTBOX_DIR: outbox },
+    encoding: 'utf8'
+  });
+
+  const [file] = await fs.readdir(outbox);
+  const message = JSON.parse(await fs.readFile(path.join(outbox, file), 'utf8'));
+  assert.equal(message.to, 'ana@example.com');
+  assert.equal(message.subject, 'Hello');
+  assert.equal(message.text, 'Body');
+  await fs.rm(outbox, { recursive: true });
+});
+
+test('setTransport swaps in a custom transport', async () => {
+  const { sendMail, setTransport } = require('../utils/mailer');
+  const sent = [];
+  setTransport({ send: async message => sent.push(message) });
+
+  await sendMail({ to: 'ana@example.com', subject: 'Hi', text: 'There' });
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, 'ana@example.com');
+  assert.match(sent[0].from, /no-reply/);
+});
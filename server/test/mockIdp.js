@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Minimal OpenID Connect provider for tests: discovery, JWKS and a token
+// endpoint that checks PKCE and returns an RS256 ID token for the claims
+// registered with issueCode().
+async function startMockIdp({ clientId }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' };
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`
+    });
+  });
+
+  app.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+  app.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (!grant || req.body.client_id !== clientId || challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({ nonce: grant.nonce, ...grant.claims }, privateKey, {
+      algorithm: 'RS256',
+      keyid: jwk.kid,
+      issuer,
+      audience: clientId,
+      expiresIn: '5m'
+    });
+    res.json({ access_token: 'access', token_type: 'Bearer', id_token: idToken });
+  });
+
+  return {
+    issuer,
+    // What the IdP would do after the user signs in at authorizeUrl
+    issueCode(authorizeUrl, claims, { nonce } = {}) {
+      const params = new URL(authorizeUrl).searchParams;
+      const code = crypto.randomBytes(8).toString('hex');
+      codes.set(code, {
+        claims,
+        nonce: nonce ?? params.get('nonce'),
+        codeChallenge: params.get('code_challenge')
+      });
+      return { code, state: params.get('state') };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  startMockIdp
+};
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Movie, MovieRevision, Review, Watchlist } = require('../models');
+const movieRoutes = require('../routes/movies');
+const { PERSONAL_ACCESS_TOKEN, serve, stub, stubTokenAuth } = require('./helpers');
+
+// Catalog management reads are open to curators' tokens only with movies:read
+const curator = { _id: 'user-1', isAdmin: false, roles: ['user', 'curator'] };
+const admin = { _id: 'user-2', isAdmin: true, roles: ['user', 'admin'] };
+
+let server;
+const restores = [];
+
+test.before(async () => {
+  restores.push(stub(MovieRevision, {
+    findOne: () => ({ populate: () => ({ lean: async () => ({ movieId: 'movie-1', version: 2 }) }) })
+  }));
+  server = await serve(movieRoutes);
+});
+
+test.after(async () => {
+  restores.forEach(restore => restore());
+  await server.close();
+});
+
+async function request(path, scopes, { method = 'GET', user = curator } = {}) {
+  const restore = stubTokenAuth(user, scopes);
+  try {
+    const response = await fetch(`${server.url}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${PERSONAL_ACCESS_TOKEN}` }
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    restore();
+  }
+}
+
+test('movie revisions need the movies:read scope', async () => {
+  assert.equal((await request('/movie-1/revisions', ['movies:write'])).status, 403);
+  assert.equal((await request('/movie-1/revisions/2', ['movies:write'])).status, 403);
+
+  const revision = await request('/movie-1/revisions/2', ['movies:read']);
+  assert.equal(revision.status, 200);
+  assert.equal(revision.body.revision.version, 2);
+});
+
+test('movie translations need the movies:read scope', async () => {
+  assert.equal((await request('/movie-1/translations', ['movies:write'])).status, 403);
+});
+
+test('the deleted movies listing needs the movies:read scope', async () => {
+  assert.equal((await request('/deleted', ['movies:write'], { user: admin })).status, 403);
+});
+
+test('deleting and restoring a movie flags its reviews and watchlist items', async (t) => {
+  const flagged = [];
+  const movie = { _id: 'movie-1', deletedAt: new Date() };
+  const restores = [
+    stub(Movie, {
+      findByIdAndUpdate: async () => movie,
+      findOneAndUpdate: () => ({ setOptions: async () => movie }),
+      findById: async () => movie,
+      calculateAverageRating: async () => {}
+    }),
+    stub(Review, { updateMany: async (filter, update) => flagged.push(['reviews', filter.movieId, update.movieDeleted]) }),
+    stub(Watchlist, { updateMany: async (filter, update) => flagged.push(['watchlist', filter.movieId, update.movieDeleted]) })
+  ];
+  t.after(() => restores.forEach(restore => restore()));
+
+  assert.equal((await request('/movie-1', ['movies:write'], { method: 'DELETE', user: admin })).status, 200);
+  assert.equal((await request('/movie-1/restore', ['movies:write'], { method: 'POST', user: admin })).status, 200);
+  assert.deepEqual(flagged, [
+    ['reviews', 'movie-1', true],
+    ['watchlist', 'movie-1', true],
+    ['reviews', 'movie-1', false],
+    ['watchlist', 'movie-1', false]
+  ]);
+});
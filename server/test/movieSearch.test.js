@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Movie, Genre } = require('../models');
+const movieRoutes = require('../routes/movies');
+const { serve, stub } = require('./helpers');
+
+const heat = { _id: 'heat', title: 'Heat', genre: ['Crime', 'Drama'], releaseYear: 1995, averageRating: 4.6, translations: [] };
+
+let findFilters;
+let pipelines;
+let server;
+const restores = [];
+
+test.before(async () => {
+  restores.push(
+    stub(Movie, {
+      find: filter => {
+        findFilters.push(filter);
+        const chain = { sort: () => chain, skip: () => chain, limit: () => chain, populate: () => chain, lean: async () => [heat] };
+        return chain;
+      },
+      countDocuments: async () => 13
+    }),
+    // Stubbed below the model so the soft-delete aggregate hook still runs
+    stub(Movie.collection, {
+      aggregate: async pipeline => {
+        pipelines.push(pipeline);
+        return {
+          toArray: async () => [{
+            genres: [{ _id: 'Drama', count: 9 }, { _id: 'Crime', count: 4 }],
+            decades: [{ _id: 1990, count: 10 }, { _id: 2000, count: 3 }],
+            ratings: [{ _id: 3, count: 2 }, { _id: 4, count: 11 }, { _id: 'other', count: 5 }]
+          }]
+        };
+      }
+    }),
+    stub(Genre, {
+      find: () => ({ lean: async () => [{ name: 'Drama', labels: [{ locale: 'fr', label: 'Drame' }] }] })
+    })
+  );
+  server = await serve(movieRoutes);
+});
+
+test.beforeEach(() => {
+  findFilters = [];
+  pipelines = [];
+});
+
+test.after(async () => {
+  restores.forEach(restore => restore());
+  await server.close();
+});
+
+async function list(search, headers) {
+  const response = await fetch(`${server.url}/?${search}`, { headers });
+  return { status: response.status, body: await response.json() };
+}
+
+test('filters are combined, and facets count the same non-deleted movies', async () => {
+  const result = await list(new URLSearchParams([
+    ['genre', 'Drama,Crime'],
+    ['genreMode', 'all'],
+    ['excludeGenre', 'Horror'],
+    ['yearFrom', '1990'],
+    ['yearTo', '1999'],
+    ['excludeDirector', 'Michael Bay'],
+    ['excludeDirector', 'Uwe Boll'],
+    ['rating', '3.5']
+  ]));
+
+  assert.equal(result.status, 200);
+  const conditions = [
+    { genre: { $all: ['Drama', 'Crime'] } },
+    { genre: { $nin: ['Horror'] } },
+    { releaseYear: { $gte: 1990, $lte: 1999 } },
+    { director: { $nin: [/^Michael Bay$/i, /^Uwe Boll$/i] } },
+    { averageRating: { $gte: 3.5 } }
+  ];
+  assert.deepEqual(findFilters, [{ $and: conditions }]);
+  assert.deepEqual(pipelines[0][0], { $match: { $and: conditions, deletedAt: null } });
+  assert.equal(pipelines[0].length, 2);
+});
+
+test('text search stays in the first stage alongside the soft-delete condition', async () => {
+  const result = await list('search=heat&genre=Crime');
+
+  assert.equal(result.status, 200);
+  assert.deepEqual(pipelines[0][0].$match, {
+    $text: { $search: 'heat' },
+    $and: [{ genre: { $in: ['Crime'] } }],
+    deletedAt: null
+  });
+});
+
+test('facet counts are returned with localized genre labels and whole-star rating buckets', async () => {
+  const result = await list('limit=12', { 'Accept-Language': 'fr' });
+
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.body.pagination, { currentPage: 1, totalPages: 2, totalMovies: 13, hasNext: true, hasPrev: false });
+  assert.deepEqual(result.body.facets, {
+    genres: [{ genre: 'Drama', label: 'Drame', count: 9 }, { genre: 'Crime', label: 'Crime', count: 4 }],
+    decades: [{ decade: 1990, count: 10 }, { decade: 2000, count: 3 }],
+    // Movies without a rating fall outside the buckets
+    ratings: [{ min: 3, max: 4, count: 2 }, { min: 4, max: 5, count: 11 }]
+  });
+});
+
+test('invalid filter combinations are rejected', async () => {
+  assert.equal((await list('genreMode=some')).status, 400);
+  assert.equal((await list('availability=stream')).status, 400);
+  assert.equal((await list('region=FR&availability=lend')).status, 400);
+  assert.equal(pipelines.length, 0);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Movie, MovieRevision } = require('../models');
+const movieRoutes = require('../routes/movies');
+const { PERSONAL_ACCESS_TOKEN, serve, stub, stubTokenAuth } = require('./helpers');
+
+const curator = { _id: 'user-1', isAdmin: false, roles: ['user', 'curator'] };
+
+test('movie updates only take editable fields from the body', async (t) => {
+  const movie = { _id: 'movie-1', title: 'Heat', synopsis: 'Old', deletedAt: null, averageRating: 3.2 };
+  const updates = [];
+  const restores = [
+    stubTokenAuth(curator, ['movies:write']),
+    stub(Movie, {
+      findById: () => ({ lean: async () => ({ ...movie }) }),
+      findByIdAndUpdate: async (id, update) => {
+        updates.push(update);
+        return { ...movie, ...update };
+      }
+    }),
+    stub(MovieRevision, {
+      findOne: () => ({ sort: () => ({ select: () => ({ lean: async () => ({ version: 1 }) }) }) }),
+      create: async data => data
+    })
+  ];
+  const server = await serve(movieRoutes);
+  t.after(async () => {
+    restores.forEach(restore => restore());
+    await server.close();
+  });
+
+  const response = await fetch(`${server.url}/movie-1`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${PERSONAL_ACCESS_TOKEN}` },
+    body: JSON.stringify({
+      synopsis: 'New',
+      deletedAt: new Date().toISOString(),
+      deletedBy: 'user-1',
+      averageRating: 5,
+      totalReviews: 1000,
+      credits: []
+    })
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.movie.deletedAt, null);
+  assert.equal(body.movie.averageRating, 3.2);
+  assert.deepEqual(updates, [{ synopsis: 'New', $addToSet: { overriddenFields: { $each: ['synopsis'] } } }]);
+});
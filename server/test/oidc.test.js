@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { User, OidcState, Session, RefreshToken, PersonalAccessToken } = require('../models');
+const { setTransport } = require('../utils/mailer');
+const { startMockIdp } = require('./mockIdp');
+const { serve, stub } = require('./helpers');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.CLIENT_URL = 'http://client.test';
+
+const CLIENT_ID = 'movie-review';
+
+let idp;
+let server;
+let users;
+let revoked;
+const restores = [];
+
+test.before(async () => {
+  idp = await startMockIdp({ clientId: CLIENT_ID });
+  process.env.OIDC_PROVIDERS = JSON.stringify([{ id: 'mock', name: 'Mock', issuer: idp.issuer, clientId: CLIENT_ID }]);
+
+  // In-memory stand-ins for the collections the login flow touches
+  const states = new Map();
+  restores.push(
+    stub(OidcState, {
+      create: async data => states.set(data.state, data),
+      findOneAndDelete: async ({ state, providerId }) => {
+        const found = states.get(state);
+        states.delete(state);
+        return found && found.providerId === providerId ? found : null;
+      }
+    }),
+    stub(User, {
+      findOne: async query => users.find(user => (query.email
+        ? user.email === query.email
+        : user.identities.some(identity => identity.provider === query.identities.$elemMatch.provider &&
+          identity.subject === query.identities.$elemMatch.subject))) || null,
+      exists: async ({ username }) => users.some(user => user.username === username)
+    }),
+    stub(User.prototype, {
+      save: async function() {
+        if (!users.includes(this)) users.push(this);
+        return this;
+      }
+    }),
+    stub(Session, {
+      create: async data => ({ _id: `session-${Math.random()}`, ...data }),
+      updateMany: async ({ userId }) => revoked.push(`sessions:${userId}`)
+    }),
+    stub(RefreshToken, { create: async data => data }),
+    stub(PersonalAccessToken, { updateMany: async ({ userId }) => revoked.push(`tokens:${userId}`) })
+  );
+
+  server = await serve(require('../routes/oidc'), '/api/auth/oidc');
+});
+
+test.beforeEach(() => {
+  users = [];
+  revoked = [];
+});
+
+test.after(async () => {
+  restores.forEach(restore => restore());
+  await server.close();
+  await idp.close();
+});
+
+// Run the browser side of a login and return the fragment sent to the client
+async function login(claims, options) {
+  const authorize = await fetch(`${server.url}/mock/authorize`, { redirect: 'manual' });
+  assert.equal(authorize.status, 302);
+  const authorizeUrl = authorize.headers.get('location');
+  assert.ok(authorizeUrl.startsWith(`${idp.issuer}/authorize?`));
+  assert.equal(new URL(authorizeUrl).searchParams.get('code_challenge_method'), 'S256');
+
+  const { code, state } = idp.issueCode(authorizeUrl, claims, options);
+  const callback = await fetch(`${server.url}/mock/callback?code=${code}&state=${state}`, { redirect: 'manual' });
+  assert.equal(callback.status, 302);
+
+  const location = new URL(callback.headers.get('location'));
+  assert.equal(location.origin, 'http://client.test');
+  return Object.fromEntries(new URLSearchParams(location.hash.slice(1)));
+}
+
+test('a first login creates an account from the ID token', async () => {
+  const result = await login({ sub: 'idp-1', email: 'Ana@Example.com', email_verified: true, preferred_username: 'ana' });
+
+  assert.ok(result.token);
+  assert.ok(result.refreshToken);
+  assert.equal(users.length, 1);
+  assert.equal(users[0].email, 'ana@example.com');
+  assert.equal(users[0].emailVerified, true);
+  assert.equal(users[0].identities[0].subject, 'idp-1');
+});
+
+test('the identity is not linked to an unverified local account with the same email', async () => {
+  const squatter = new User({ username: 'squatter', email: 'ana@example.com', password: 'attacker1', emailVerified: false });
+  users.push(squatter);
+
+  const result = await login({ sub: 'idp-1', email: 'ana@example.com', email_verified: true });
+
+  assert.deepEqual(result, { error: 'account_exists' });
+  assert.equal(squatter.identities.length, 0);
+  assert.equal(squatter.password, 'attacker1');
+  assert.deepEqual(revoked, []);
+});
+
+test('linking a verified account resets its password, signs out its sessions and tokens and tells the owner', async () => {
+  const owner = new User({ username: 'ana', email: 'ana@example.com', password: 'secret123', emailVerified: true });
+  users.push(owner);
+  const sent = [];
+  setTransport({ send: async message => sent.push(message) });
+
+  const result = await login({ sub: 'idp-1', email: 'ana@example.com', email_verified: true });
+
+  assert.ok(result.token);
+  assert.equal(owner.identities[0].subject, 'idp-1');
+  assert.notEqual(owner.password, 'secret123');
+  assert.deepEqual(revoked, [`sessions:${owner._id}`, `tokens:${owner._id}`]);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, 'ana@example.com');
+  assert.equal(sent[0].subject, 'Your account was linked to Mock');
+  assert.match(sent[0].text, /password no longer works/);
+});
+
+test('linking still signs the owner in when the notice email fails', async (t) => {
+  const owner = new User({ username: 'ana', email: 'ana@example.com', password: 'secret123', emailVerified: true });
+  users.push(owner);
+  t.mock.method(console, 'error', () => {});
+  setTransport({ send: async () => { throw new Error('SMTP down'); } });
+
+  const result = await login({ sub: 'idp-1', email: 'ana@example.com', email_verified: true });
+
+  assert.ok(result.token);
+  assert.equal(owner.identities[0].subject, 'idp-1');
+});
+
+test('an address the IdP has not verified is never linked', async () => {
+  users.push(new User({ username: 'ana', email: 'ana@example.com', password: 'secret123', emailVerified: true }));
+
+  const result = await login({ sub: 'idp-1', email: 'ana@example.com', email_verified: false });
+
+  assert.deepEqual(result, { error: 'account_exists' });
+});
+
+test('an ID token with the wrong nonce is rejected', async () => {
+  const result = await login({ sub: 'idp-1', email: 'ana@example.com', email_verified: true }, { nonce: 'replayed' });
+
+  assert.deepEqual(result, { error: 'login_failed' });
+  assert.equal(users.length, 0);
+});
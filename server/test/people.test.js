@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Movie, MovieRevision, Person } = require('../models');
+const { linkCredits } = require('../utils/people');
+const peopleRoutes = require('../routes/people');
+const { PERSONAL_ACCESS_TOKEN, serve, stub, stubTokenAuth } = require('./helpers');
+
+const curator = { _id: new mongoose.Types.ObjectId(), isAdmin: false, roles: ['user', 'curator'] };
+const id = () => new mongoose.Types.ObjectId();
+
+// A query that can be awaited directly or after .collation()
+const query = result => Object.assign(Promise.resolve(result), { collation: async () => result });
+
+test('linkCredits matches people by TMDB id, then by name, and creates the rest', async (t) => {
+  const mann = { _id: id(), name: 'Michael Mann', tmdbPersonId: 638 };
+  const pacino = { _id: id(), name: 'Al Pacino', aliases: [], save: async () => {} };
+  const people = [mann, pacino];
+  const created = [];
+  const restore = stub(Person, {
+    findOne: filter => query(typeof filter.tmdbPersonId === 'number'
+      ? people.find(person => person.tmdbPersonId === filter.tmdbPersonId) || null
+      : people.find(person => !person.tmdbPersonId &&
+        filter.$or.some(condition => condition.name === person.name || person.aliases?.includes(condition.aliases))) || null),
+    create: async data => {
+      created.push(data);
+      return { _id: id(), ...data };
+    }
+  });
+  t.after(restore);
+
+  const movie = {
+    director: 'Michael Mann',
+    cast: [
+      { name: 'Al Pacino', character: 'Vincent Hanna' },
+      { name: 'Bob De Niro', character: 'Neil McCauley' }
+    ]
+  };
+  await linkCredits(movie, {
+    director: { id: 638, name: 'Michael Mann', photoUrl: null },
+    cast: [
+      { id: 1158, name: 'Al Pacino', photoUrl: 'https://image.tmdb.org/t/p/w185/pacino.jpg' },
+      // Renamed locally since the import, so TMDB's person no longer applies
+      { id: 380, name: 'Robert De Niro', photoUrl: null }
+    ]
+  });
+
+  assert.deepEqual(movie.credits.map(credit => [credit.role, credit.order, credit.character ?? null]), [
+    ['director', 0, null],
+    ['cast', 0, 'Vincent Hanna'],
+    ['cast', 1, 'Neil McCauley']
+  ]);
+  assert.equal(movie.credits[0].personId, mann._id);
+  assert.equal(movie.credits[1].personId, pacino._id);
+  // The name match learns the TMDB id and photo
+  assert.equal(pacino.tmdbPersonId, 1158);
+  assert.equal(pacino.photoUrl, 'https://image.tmdb.org/t/p/w185/pacino.jpg');
+  assert.deepEqual(created, [{ name: 'Bob De Niro' }]);
+});
+
+test('a person page lists their roles with rating stats per role', async (t) => {
+  const person = { _id: id(), name: 'Clint Eastwood' };
+  const credit = (role, character) => ({ personId: person._id, role, character });
+  const restores = [
+    stub(Person, { findById: () => ({ lean: async () => person }) }),
+    stub(Movie, {
+      find: () => ({
+        select: () => ({
+          sort: () => ({
+            lean: async () => [
+              { _id: 'gran-torino', title: 'Gran Torino', averageRating: 4.4, totalReviews: 10, credits: [credit('director'), credit('cast', 'Walt Kowalski')] },
+              { _id: 'mystic-river', title: 'Mystic River', averageRating: 4, totalReviews: 6, credits: [credit('director'), { personId: id(), role: 'cast', character: 'Jimmy' }] },
+              { _id: 'dirty-harry', title: 'Dirty Harry', averageRating: 0, totalReviews: 0, credits: [credit('cast', 'Harry Callahan')] }
+            ]
+          })
+        })
+      })
+    })
+  ];
+  const server = await serve(peopleRoutes);
+  t.after(async () => {
+    restores.forEach(restore => restore());
+    await server.close();
+  });
+
+  const response = await fetch(`${server.url}/${person._id}`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.filmography.map(movie => [movie.title, movie.roles]), [
+    ['Gran Torino', [{ role: 'director' }, { role: 'cast', character: 'Walt Kowalski' }]],
+    ['Mystic River', [{ role: 'director' }]],
+    ['Dirty Harry', [{ role: 'cast', character: 'Harry Callahan' }]]
+  ]);
+  // Unrated movies count towards the filmography but not the average
+  assert.deepEqual(body.stats, {
+    movieCount: 3,
+    ratedMovieCount: 2,
+    totalReviews: 16,
+    averageRating: 4.2,
+    asDirector: { movieCount: 2, ratedMovieCount: 2, totalReviews: 16, averageRating: 4.2 },
+    asCast: { movieCount: 2, ratedMovieCount: 1, totalReviews: 10, averageRating: 4.4 }
+  });
+});
+
+test('renaming a person updates the names on their credited movies', async (t) => {
+  const person = Object.assign(new Person({ name: 'Bob De Niro' }), { save: async () => {} });
+  const heat = new Movie({
+    title: 'Heat',
+    director: 'Michael Mann',
+    cast: [{ name: 'Al Pacino' }, { name: 'Bob De Niro' }],
+    credits: [{ personId: id(), role: 'director', order: 0 }, { personId: person._id, role: 'cast', order: 1 }]
+  });
+  const saved = [];
+  const revisions = [];
+  const restores = [
+    stubTokenAuth(curator, ['movies:write']),
+    stub(Person, {
+      findById: async () => person,
+      exists: async filter => (filter.tmdbPersonId === 380 ? { _id: id() } : null)
+    }),
+    stub(Movie, { find: () => ({ setOptions: async () => [heat] }) }),
+    stub(Movie.prototype, {
+      save: async function() {
+        saved.push(this);
+        return this;
+      }
+    }),
+    stub(MovieRevision, {
+      findOne: () => ({ sort: () => ({ select: () => ({ lean: async () => ({ version: 4 }) }) }) }),
+      create: async data => revisions.push(data)
+    })
+  ];
+  const server = await serve(peopleRoutes);
+  t.after(async () => {
+    restores.forEach(restore => restore());
+    await server.close();
+  });
+
+  const update = body => fetch(`${server.url}/${person._id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${PERSONAL_ACCESS_TOKEN}` },
+    body: JSON.stringify(body)
+  });
+
+  const taken = await update({ tmdbPersonId: 380 });
+  assert.equal(taken.status, 400);
+  assert.equal((await taken.json()).message, 'TMDB person ID already belongs to someone else');
+
+  const renamed = await update({ name: 'Robert De Niro', aliases: ['Bob De Niro', 'Bob De Niro'] });
+  assert.equal(renamed.status, 200);
+  assert.deepEqual([...person.aliases], ['Bob De Niro']);
+  assert.deepEqual(heat.cast.map(member => member.name), ['Al Pacino', 'Robert De Niro']);
+  assert.equal(heat.director, 'Michael Mann');
+  assert.deepEqual(saved, [heat]);
+  assert.equal(revisions.length, 1);
+  assert.deepEqual(revisions[0].changes.map(change => change.field), ['cast']);
+});
+
+test('editing people needs the movies:write scope', async (t) => {
+  const restore = stubTokenAuth(curator, ['movies:read']);
+  const server = await serve(peopleRoutes);
+  t.after(async () => {
+    restore();
+    await server.close();
+  });
+
+  const response = await fetch(`${server.url}/${id()}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${PERSONAL_ACCESS_TOKEN}` },
+    body: JSON.stringify({ name: 'Someone' })
+  });
+  assert.equal(response.status, 403);
+});
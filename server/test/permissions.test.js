@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hasPermission } = require('../utils/permissions');
+
+const admin = { isAdmin: true, roles: ['user', 'admin'], twoFactorEnabled: false };
+
+test('hasPermission withholds privileged permissions from admins without 2FA when it is required', (t) => {
+  const previous = process.env.REQUIRE_ADMIN_2FA;
+  t.after(() => {
+    if (previous === undefined) delete process.env.REQUIRE_ADMIN_2FA;
+    else process.env.REQUIRE_ADMIN_2FA = previous;
+  });
+
+  process.env.REQUIRE_ADMIN_2FA = 'false';
+  assert.equal(hasPermission(admin, 'review:moderate'), true);
+
+  process.env.REQUIRE_ADMIN_2FA = 'true';
+  assert.equal(hasPermission(admin, 'review:moderate'), false);
+  assert.equal(hasPermission(admin, 'user:manage'), false);
+  assert.equal(hasPermission(admin, 'review:write'), true);
+  assert.equal(hasPermission({ ...admin, twoFactorEnabled: true }, 'user:manage'), true);
+});
+
+test('hasPermission follows the roles of non-admin accounts', () => {
+  const curator = { isAdmin: false, roles: ['user', 'curator'] };
+  assert.equal(hasPermission(curator, 'movie:write'), true);
+  assert.equal(hasPermission(curator, 'movie:delete'), false);
+  assert.equal(hasPermission(null, 'review:write'), false);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { User, Session } = require('../models');
+const { generateAccessToken } = require('../utils/tokens');
+const { setTransport } = require('../utils/mailer');
+const authRoutes = require('../routes/auth');
+const { PERSONAL_ACCESS_TOKEN, serve, stub, stubTokenAuth } = require('./helpers');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const user = { _id: 'user-1', username: 'ana', email: 'ana@example.com', emailVerified: true };
+
+async function updateProfile(url, body) {
+  const response = await fetch(`${url}/profile`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${PERSONAL_ACCESS_TOKEN}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('personal access tokens can edit the profile but not change the email', async (t) => {
+  const updates = [];
+  const restores = [
+    stubTokenAuth(user, ['profile:write']),
+    stub(User, {
+      findOne: async () => null,
+      findByIdAndUpdate: async (id, update) => {
+        updates.push(update);
+        return { ...user, ...update };
+      }
+    })
+  ];
+  const server = await serve(authRoutes);
+  t.after(async () => {
+    restores.forEach(restore => restore());
+    await server.close();
+  });
+
+  const emailChange = await updateProfile(server.url, { email: 'mallory@example.com' });
+  assert.equal(emailChange.status, 403);
+  assert.equal(updates.length, 0);
+
+  const renamed = await updateProfile(server.url, { username: 'ana_b', email: user.email });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.user.username, 'ana_b');
+  assert.deepEqual(updates, [{ username: 'ana_b' }]);
+});
+
+test('an email change is saved even when the verification mail fails', async (t) => {
+  const session = { _id: 'session-1', lastSeenAt: new Date() };
+  const updates = [];
+  const restores = [
+    stub(User, {
+      findById: () => ({ select: async () => user }),
+      findOne: async () => null,
+      updateOne: async () => ({ modifiedCount: 1 }),
+      findByIdAndUpdate: async (id, update) => {
+        updates.push(update);
+        return { ...user, ...update };
+      }
+    }),
+    stub(Session, { findOne: async () => session })
+  ];
+  const server = await serve(authRoutes);
+  t.after(async () => {
+    restores.forEach(restore => restore());
+    await server.close();
+  });
+  t.mock.method(console, 'error', () => {});
+  setTransport({ send: async () => { throw new Error('SMTP down'); } });
+
+  const response = await fetch(`${server.url}/profile`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${generateAccessToken(user, session)}` },
+    body: JSON.stringify({ email: 'ana.new@example.com' })
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.user.email, 'ana.new@example.com');
+  assert.equal(body.user.emailVerified, false);
+  assert.equal(updates.length, 1);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { User, Session, RefreshToken } = require('../models');
+const { setTransport } = require('../utils/mailer');
+const authRoutes = require('../routes/auth');
+const { serve, stub } = require('./helpers');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+test('register still succeeds when the verification email cannot be sent', async (t) => {
+  const saved = [];
+  const restoreUser = stub(User, {
+    findOne: async () => null,
+    updateOne: async () => ({ acknowledged: true })
+  });
+  const restoreSave = stub(User.prototype, {
+    save: async function() { saved.push(this); return this; }
+  });
+  const restoreSession = stub(Session, {
+    create: async data => ({ _id: 'session-1', ...data })
+  });
+  const restoreRefresh = stub(RefreshToken, {
+    create: async data => data
+  });
+  setTransport({ send: async () => { throw new Error('SMTP down'); } });
+
+  const server = await serve(authRoutes);
+  t.after(async () => {
+    restoreUser();
+    restoreSave();
+    restoreSession();
+    restoreRefresh();
+    await server.close();
+  });
+
+  const response = await fetch(`${server.url}/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'ana', email: 'ana@example.com', password: 'secret123' })
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 201);
+  assert.equal(saved.length, 1);
+  assert.equal(body.user.emailVerified, false);
+  assert.ok(body.token);
+  assert.ok(body.refreshToken);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { User, Session, RefreshToken } = require('../models');
+const { generateAccessToken, rotateRefreshToken } = require('../utils/tokens');
+const sessionRoutes = require('../routes/sessions');
+const { PERSONAL_ACCESS_TOKEN, serve, stub, stubTokenAuth } = require('./helpers');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const user = { _id: new mongoose.Types.ObjectId(), username: 'ana' };
+const otherUser = { _id: new mongoose.Types.ObjectId(), username: 'bob' };
+
+const newSession = (owner, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: owner._id,
+  userAgent: 'Firefox',
+  ip: '127.0.0.1',
+  createdAt: new Date(),
+  lastSeenAt: new Date(),
+  expiresAt: new Date(Date.now() + 30 * DAY_MS),
+  revokedAt: null,
+  ...fields
+});
+
+let sessions;
+let server;
+const restores = [];
+
+// In-memory stand-in for the sessions collection
+const matches = (session, query) => String(session.userId) === String(query.userId) &&
+  session.revokedAt === null &&
+  (query._id === undefined || (query._id.$ne
+    ? String(session._id) !== String(query._id.$ne)
+    : String(session._id) === String(query._id)));
+
+test.before(async () => {
+  restores.push(
+    stub(User, { findById: () => ({ select: async () => user }) }),
+    stub(Session, {
+      findOne: async query => sessions.find(session => matches(session, query)) || null,
+      find: query => ({
+        sort: () => ({
+          lean: async () => sessions
+            .filter(session => matches(session, query) && session.expiresAt > query.expiresAt.$gt)
+            .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+        })
+      }),
+      updateOne: async (query, update) => {
+        const session = sessions.find(candidate => String(candidate._id) === String(query._id));
+        if (session && query.revokedAt === null && session.revokedAt === null) Object.assign(session, update);
+      },
+      updateMany: async (query, update) => {
+        const revoked = sessions.filter(session => matches(session, query));
+        revoked.forEach(session => Object.assign(session, update));
+        return { modifiedCount: revoked.length };
+      }
+    })
+  );
+  server = await serve(sessionRoutes);
+});
+
+test.after(async () => {
+  restores.forEach(restore => restore());
+  await server.close();
+});
+
+async function request(path, session, method = 'GET') {
+  const response = await fetch(`${server.url}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${generateAccessToken(user, session)}` }
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('the listing shows only live sessions of the user and marks the current one', async () => {
+  const current = newSession(user, { lastSeenAt: new Date(Date.now() - 60 * 1000) });
+  const laptop = newSession(user, { userAgent: 'Safari' });
+  sessions = [
+    current,
+    laptop,
+    newSession(user, { revokedAt: new Date() }),
+    newSession(user, { expiresAt: new Date(Date.now() - DAY_MS) }),
+    newSession(otherUser)
+  ];
+
+  const result = await request('/', current);
+
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.body.sessions.map(session => [session.id, session.userAgent, session.current]), [
+    [String(laptop._id), 'Safari', false],
+    [String(current._id), 'Firefox', true]
+  ]);
+});
+
+test('a session can be revoked, but not one belonging to someone else', async () => {
+  const current = newSession(user);
+  const phone = newSession(user);
+  const foreign = newSession(otherUser);
+  sessions = [current, phone, foreign];
+
+  assert.equal((await request(`/${foreign._id}`, current, 'DELETE')).status, 404);
+  assert.equal(foreign.revokedAt, null);
+
+  assert.equal((await request(`/${phone._id}`, current, 'DELETE')).status, 200);
+  assert.equal(phone.revokedReason, 'revoked_by_user');
+  assert.equal((await request(`/${phone._id}`, current, 'DELETE')).status, 404);
+
+  // The revoked session's access tokens stop working right away
+  assert.equal((await request('/', phone)).status, 401);
+});
+
+test('revoking the other sessions keeps the current one', async () => {
+  const current = newSession(user);
+  const others = [newSession(user), newSession(user)];
+  const foreign = newSession(otherUser);
+  sessions = [current, ...others, foreign];
+
+  const result = await request('/revoke-others', current, 'POST');
+
+  assert.equal(result.status, 200);
+  assert.equal(result.body.revokedCount, 2);
+  assert.equal(current.revokedAt, null);
+  assert.equal(foreign.revokedAt, null);
+  assert.ok(others.every(session => session.revokedReason === 'revoked_by_user'));
+});
+
+test('personal access tokens cannot manage sessions', async (t) => {
+  const restore = stubTokenAuth(user, ['profile:write']);
+  t.after(restore);
+
+  const response = await fetch(`${server.url}/revoke-others`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${PERSONAL_ACCESS_TOKEN}` }
+  });
+  assert.equal(response.status, 403);
+});
+
+test('refreshing never extends a session past its absolute max age', async (t) => {
+  const session = newSession(user, {
+    createdAt: new Date(Date.now() - 80 * DAY_MS),
+    expiresAt: new Date(Date.now() + DAY_MS),
+    save: async () => {}
+  });
+  const issued = [];
+  const restores = [
+    stub(RefreshToken, {
+      findOne: async () => ({ _id: 'refresh-1', sessionId: session._id }),
+      findOneAndUpdate: async () => ({ _id: 'refresh-1' }),
+      create: async data => issued.push(data)
+    }),
+    stub(Session, { findById: async () => session }),
+    stub(User, { findById: async () => user })
+  ];
+  t.after(() => restores.forEach(restore => restore()));
+
+  const rotated = await rotateRefreshToken('old-token');
+
+  // Capped at 90 days after creation instead of sliding 30 days forward
+  assert.ok(rotated);
+  assert.equal(session.expiresAt.getTime(), session.createdAt.getTime() + 90 * DAY_MS);
+  assert.equal(issued[0].expiresAt.getTime(), session.expiresAt.getTime());
+
+  // Once that age is reached the refresh token is refused
+  session.expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await rotateRefreshToken('next-token'), null);
+});
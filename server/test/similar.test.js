@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Movie, Review } = require('../models');
+const { findSimilar, invalidateSimilarCache } = require('../utils/similar');
+const { stub } = require('./helpers');
+
+const heat = {
+  _id: 'heat',
+  genre: ['Crime', 'Thriller'],
+  director: 'Michael Mann',
+  cast: [{ name: 'Al Pacino' }, { name: 'Robert De Niro' }],
+  releaseYear: 1995
+};
+
+const candidates = [
+  // Same director, one shared genre, nine years apart
+  { _id: 'collateral', genre: ['Crime', 'Drama'], director: 'michael mann ', cast: [{ name: 'Tom Cruise' }], releaseYear: 2004 },
+  // Both genres and both leads, and liked by the same users
+  { _id: 'godfather2', genre: ['Crime', 'Thriller'], director: 'Francis Ford Coppola', cast: [{ name: 'AL PACINO' }, { name: 'Robert De Niro' }], releaseYear: 1974 },
+  // Only the era matches
+  { _id: 'toy-story', genre: ['Animation'], director: 'John Lasseter', cast: [{ name: 'Tom Hanks' }], releaseYear: 1995 }
+];
+
+let movieQueries;
+const restores = [];
+
+test.before(() => {
+  restores.push(
+    stub(Review, {
+      find: () => ({ select: () => ({ sort: () => ({ limit: () => ({ lean: async () => [{ userId: 'u1' }, { userId: 'u2' }] }) }) }) }),
+      // Co-ratings first, then how many users liked each shared candidate
+      aggregate: async pipeline => (pipeline[0].$match.userId
+        ? [{ _id: 'godfather2', count: 2 }]
+        : [{ _id: 'godfather2', count: 4 }])
+    }),
+    stub(Movie, {
+      find: () => {
+        movieQueries += 1;
+        return { select: () => ({ lean: async () => candidates }) };
+      }
+    })
+  );
+});
+
+test.beforeEach(() => {
+  movieQueries = 0;
+  invalidateSimilarCache();
+});
+
+test.after(() => restores.forEach(restore => restore()));
+
+test('findSimilar ranks candidates by weighted signals and explains them', async () => {
+  const results = await findSimilar(heat);
+
+  assert.deepEqual(results.map(result => result.movieId), ['godfather2', 'collateral']);
+  // genre 1 * 0.35 + cast 1 * 0.2 + ratings 2 / sqrt(2 * 4) * 0.2 + era 0 (21 years apart)
+  assert.equal(results[0].score, 0.691);
+  assert.deepEqual(results[0].reasons, ['genre', 'cast', 'ratings']);
+  // genre 1/3 * 0.35 + director 0.15 + era 0.55 * 0.1
+  assert.equal(results[1].score, 0.322);
+  assert.deepEqual(results[1].reasons, ['director', 'genre']);
+});
+
+test('findSimilar serves repeated lookups from the cache until it is invalidated', async () => {
+  await findSimilar(heat);
+  await findSimilar(heat);
+  assert.equal(movieQueries, 1);
+
+  invalidateSimilarCache();
+  await findSimilar(heat);
+  assert.equal(movieQueries, 2);
+});
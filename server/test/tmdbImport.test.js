@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeTmdb } = require('./fakeTmdb');
+
+const API_KEY = 'test-tmdb-key';
+
+let tmdb;
+let fetchMovieData;
+
+test.before(async () => {
+  tmdb = await startFakeTmdb({
+    apiKey: API_KEY,
+    movies: [{
+      id: 949,
+      title: 'Heat',
+      genres: [{ id: 80, name: 'Crime' }],
+      release_date: '1995-12-15',
+      overview: 'A detective hunts a crew of professional thieves.',
+      poster_path: '/heat.jpg',
+      backdrop_path: null,
+      runtime: 170,
+      imdb_id: 'tt0113277',
+      credits: {
+        cast: [{ id: 1158, name: 'Al Pacino', character: 'Vincent Hanna', profile_path: null }],
+        crew: [{ id: 638, name: 'Michael Mann', job: 'Director', profile_path: null }]
+      },
+      release_dates: [
+        { iso_3166_1: 'US', release_dates: [{ type: 3, release_date: '1995-12-15T00:00:00.000Z' }, { type: 1, release_date: '1995-12-06T00:00:00.000Z' }] },
+        { iso_3166_1: 'DE', release_dates: [{ type: 3, release_date: '1996-02-29T00:00:00.000Z' }] }
+      ]
+    }]
+  });
+  // utils/tmdb reads its configuration when first required
+  process.env.TMDB_API_KEY = API_KEY;
+  process.env.TMDB_BASE_URL = tmdb.url;
+  ({ fetchMovieData } = require('../utils/tmdb'));
+});
+
+test.after(() => tmdb.close());
+
+test('fetchMovieData maps details, credits and tracked release types', async () => {
+  const movie = await fetchMovieData(949, { useCache: false });
+
+  assert.equal(movie.title, 'Heat');
+  assert.deepEqual(movie.genre, ['Crime']);
+  assert.equal(movie.director, 'Michael Mann');
+  assert.deepEqual(movie.cast, [{ name: 'Al Pacino', character: 'Vincent Hanna' }]);
+  assert.deepEqual(movie.releaseDates, [
+    { region: 'DE', type: 'theatrical', date: new Date('1996-02-29T00:00:00.000Z') },
+    { region: 'US', type: 'theatrical', date: new Date('1995-12-15T00:00:00.000Z') }
+  ]);
+});
+
+test('fetchMovieData still returns the movie when release dates fail', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  tmdb.fail('/movie/949/release_dates');
+
+  const movie = await fetchMovieData(949, { useCache: false });
+  assert.equal(movie.title, 'Heat');
+  assert.deepEqual(movie.releaseDates, []);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Movie } = require('../models');
+const { startFakeTmdb } = require('./fakeTmdb');
+const { PERSONAL_ACCESS_TOKEN, serve, stub, stubTokenAuth } = require('./helpers');
+
+const API_KEY = 'test-tmdb-key';
+const curator = { _id: 'user-1', isAdmin: false, roles: ['user', 'curator'] };
+
+let tmdb;
+let server;
+const restores = [];
+
+test.before(async () => {
+  tmdb = await startFakeTmdb({
+    apiKey: API_KEY,
+    movies: [
+      { id: 603, title: 'The Matrix', original_title: 'The Matrix', release_date: '1999-03-31', overview: 'A hacker learns the truth.', poster_path: '/matrix.jpg' },
+      { id: 604, title: 'The Matrix Reloaded', original_title: 'The Matrix Reloaded', release_date: '2003-05-15', overview: 'Neo returns.', poster_path: null },
+      { id: 27205, title: 'Inception', original_title: 'Inception', release_date: '2010-07-16', overview: 'Dreams within dreams.', poster_path: null }
+    ]
+  });
+  // utils/tmdb reads its configuration when first required
+  process.env.TMDB_API_KEY = API_KEY;
+  process.env.TMDB_BASE_URL = tmdb.url;
+
+  restores.push(stub(Movie, {
+    find: () => ({
+      setOptions: () => ({
+        select: () => ({ lean: async () => [{ _id: 'movie-1', tmdbId: 603, deletedAt: null }] })
+      })
+    })
+  }));
+  server = await serve(require('../routes/movies'));
+});
+
+test.after(async () => {
+  restores.forEach(restore => restore());
+  await server.close();
+  await tmdb.close();
+});
+
+async function search(query) {
+  const response = await fetch(`${server.url}/tmdb/search?q=${encodeURIComponent(query)}`, {
+    headers: { Authorization: `Bearer ${PERSONAL_ACCESS_TOKEN}` }
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('TMDB search needs the movies:write scope', async (t) => {
+  const restore = stubTokenAuth(curator, ['reviews:write']);
+  t.after(restore);
+
+  const requestsBefore = tmdb.requests.length;
+  const result = await search('matrix');
+  assert.equal(result.status, 403);
+  assert.equal(tmdb.requests.length, requestsBefore);
+});
+
+test('TMDB search results flag movies already in the catalog', async (t) => {
+  const restore = stubTokenAuth(curator, ['movies:write']);
+  t.after(restore);
+
+  const result = await search('matrix');
+  assert.equal(result.status, 200);
+  assert.equal(result.body.totalResults, 2);
+  assert.deepEqual(result.body.results.map(movie => [movie.tmdbId, movie.alreadyImported, movie.movieId]), [
+    [603, true, 'movie-1'],
+    [604, false, null]
+  ]);
+  assert.equal(result.body.results[0].posterUrl, 'https://image.tmdb.org/t/p/w185/matrix.jpg');
+  assert.equal(tmdb.requests.at(-1).query.query, 'matrix');
+});
@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Movie, MovieRevision, Person, TmdbSyncReport } = require('../models');
+const { startFakeTmdb } = require('./fakeTmdb');
+const { stub } = require('./helpers');
+
+const API_KEY = 'test-tmdb-key';
+
+let tmdb;
+let sync;
+let saved;
+let revisions;
+let people;
+let attempts;
+const restores = [];
+
+// Heat as stored before TMDB added a cast member, a poster and release dates
+const storedHeat = () => new Movie({
+  title: 'Heat',
+  genre: ['Crime'],
+  releaseYear: 1995,
+  director: 'Michael Mann',
+  cast: [{ name: 'Al Pacino', character: 'Vincent Hanna' }],
+  synopsis: 'Our own synopsis.',
+  backdropUrl: '/uploads/heat-backdrop.jpg',
+  duration: 170,
+  tmdbId: 949,
+  imdbId: 'tt0113277',
+  overriddenFields: ['synopsis']
+});
+
+test.before(async () => {
+  tmdb = await startFakeTmdb({
+    apiKey: API_KEY,
+    movies: [{
+      id: 949,
+      title: 'Heat',
+      genres: [{ id: 80, name: 'Crime' }, { id: 18, name: 'Drama' }],
+      release_date: '1995-12-15',
+      overview: 'A detective hunts a crew of professional thieves.',
+      poster_path: '/heat.jpg',
+      backdrop_path: null,
+      runtime: 170,
+      imdb_id: 'tt0113277',
+      credits: {
+        cast: [
+          { id: 1158, name: 'Al Pacino', character: 'Vincent Hanna', profile_path: null },
+          { id: 380, name: 'Robert De Niro', character: 'Neil McCauley', profile_path: null }
+        ],
+        crew: [{ id: 638, name: 'Michael Mann', job: 'Director', profile_path: null }]
+      },
+      release_dates: [{ iso_3166_1: 'US', release_dates: [{ type: 3, release_date: '1995-12-15T00:00:00.000Z' }] }]
+    }]
+  });
+  // utils/tmdb reads its configuration when first required
+  process.env.TMDB_API_KEY = API_KEY;
+  process.env.TMDB_BASE_URL = tmdb.url;
+  sync = require('../jobs/tmdbSync');
+
+  restores.push(
+    stub(Movie.prototype, {
+      save: async function() {
+        saved.push(this);
+        return this;
+      }
+    }),
+    stub(Movie, { updateOne: async (filter, update) => attempts.push([filter._id, update]) }),
+    stub(MovieRevision, {
+      findOne: () => ({ sort: () => ({ select: () => ({ lean: async () => ({ version: 3 }) }) }) }),
+      create: async data => {
+        revisions.push(data);
+        return data;
+      }
+    }),
+    stub(Person, {
+      findOne: () => Object.assign(Promise.resolve(null), { collation: async () => null }),
+      create: async data => {
+        people.push(data);
+        return { _id: new mongoose.Types.ObjectId(), ...data };
+      }
+    }),
+    stub(TmdbSyncReport, { create: async report => report })
+  );
+});
+
+test.beforeEach(() => {
+  saved = [];
+  revisions = [];
+  people = [];
+  attempts = [];
+});
+
+test.after(async () => {
+  restores.forEach(restore => restore());
+  await tmdb.close();
+});
+
+test('a sync applies TMDB changes except to overridden fields and relinks credits', async () => {
+  const movie = storedHeat();
+
+  const report = await sync.syncMovie(movie, { trigger: 'manual', triggeredBy: 'admin-1' });
+
+  assert.equal(report.status, 'updated');
+  assert.equal(report.trigger, 'manual');
+  assert.deepEqual(report.changes.map(change => change.field), ['genre', 'cast', 'posterUrl', 'releaseDates']);
+  assert.deepEqual(report.skippedFields, ['synopsis']);
+
+  assert.deepEqual([...movie.genre], ['Crime', 'Drama']);
+  assert.equal(movie.synopsis, 'Our own synopsis.');
+  // TMDB has no backdrop, which must not wipe ours
+  assert.equal(movie.backdropUrl, '/uploads/heat-backdrop.jpg');
+  assert.equal(movie.posterUrl, 'https://image.tmdb.org/t/p/w500/heat.jpg');
+
+  // The new cast member is linked, with TMDB's person id
+  assert.deepEqual(people.map(person => [person.name, person.tmdbPersonId]), [
+    ['Michael Mann', 638],
+    ['Al Pacino', 1158],
+    ['Robert De Niro', 380]
+  ]);
+  assert.deepEqual(movie.credits.map(credit => credit.role), ['director', 'cast', 'cast']);
+
+  assert.deepEqual(saved, [movie]);
+  assert.ok(movie.tmdbSyncedAt);
+  assert.equal(revisions.length, 1);
+  assert.equal(revisions[0].action, 'tmdb_sync');
+  assert.equal(String(revisions[0].authorId), 'admin-1');
+});
+
+test('a movie already up to date is reported unchanged without a revision', async () => {
+  const movie = storedHeat();
+  await sync.syncMovie(movie);
+  revisions = [];
+  people = [];
+
+  const report = await sync.syncMovie(movie);
+
+  assert.equal(report.status, 'unchanged');
+  assert.equal(report.trigger, 'schedule');
+  assert.deepEqual(report.changes, []);
+  assert.deepEqual(revisions, []);
+  assert.deepEqual(people, []);
+});
+
+test('syncMovies syncs the stalest TMDB movies and summarizes the outcome', async (t) => {
+  const gone = Object.assign(storedHeat(), { tmdbId: 404 });
+  const movies = new Map([['heat', storedHeat()], ['gone', gone]]);
+  const queries = [];
+  const restore = stub(Movie, {
+    find: filter => {
+      queries.push(filter);
+      return {
+        select: () => ({
+          sort: order => ({
+            limit: limit => {
+              queries.push(order, limit);
+              return { lean: async () => [...movies.keys()].map(_id => ({ _id })) };
+            }
+          })
+        })
+      };
+    },
+    findById: async id => movies.get(id)
+  });
+  t.after(restore);
+
+  const running = sync.startSync({ genre: 'Crime' }, { limit: 5 });
+
+  // Only one sync runs at a time
+  assert.equal(sync.isSyncRunning(), true);
+  assert.equal(sync.startSync(), null);
+
+  const summary = await running;
+  assert.equal(sync.isSyncRunning(), false);
+  assert.deepEqual(queries, [{ tmdbId: { $ne: null }, genre: 'Crime' }, { tmdbSyncedAt: 1 }, 5]);
+  assert.deepEqual(summary, { total: 2, updated: 1, unchanged: 0, not_found: 1, failed: 0 });
+
+  // The missing movie still counts as attempted so it moves to the back of the queue
+  assert.equal(attempts.length, 1);
+  assert.ok(attempts[0][0].equals(gone._id));
+  assert.ok(attempts[0][1].tmdbSyncedAt);
+});
+
+test('a TMDB error fails the report without touching the movie', async () => {
+  const movie = storedHeat();
+  tmdb.fail('/movie/949/credits');
+
+  const report = await sync.syncMovie(movie);
+
+  assert.equal(report.status, 'failed');
+  assert.equal(report.error, 'Internal error');
+  assert.deepEqual(saved, []);
+  assert.deepEqual([...movie.genre], ['Crime']);
+  assert.equal(attempts.length, 1);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sessionExpiry } = require('../utils/tokens');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('sessionExpiry slides forward by the refresh token lifetime', () => {
+  const now = new Date('2026-01-10T00:00:00Z');
+  const createdAt = new Date('2026-01-01T00:00:00Z');
+
+  assert.equal(sessionExpiry(createdAt, now).getTime(), now.getTime() + 30 * DAY_MS);
+});
+
+test('sessionExpiry never extends past the absolute session lifetime', () => {
+  const createdAt = new Date('2026-01-01T00:00:00Z');
+  const now = new Date(createdAt.getTime() + 80 * DAY_MS);
+
+  assert.equal(sessionExpiry(createdAt, now).getTime(), createdAt.getTime() + 90 * DAY_MS);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateCode, verifyCode, buildOtpauthUri, generateRecoveryCodes, generateSecret } = require('../utils/totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('generateCode matches the RFC 6238 SHA-1 test vectors', () => {
+  assert.equal(generateCode(RFC_SECRET, Math.floor(59 / 30)), '287082');
+  assert.equal(generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+  assert.equal(generateCode(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+  assert.equal(generateCode(RFC_SECRET, Math.floor(2000000000 / 30)), '279037');
+});
+
+test('verifyCode accepts one step of drift and returns the matching step', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1111111109 * 1000 });
+  const step = Math.floor(1111111109 / 30);
+
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step)), step);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1)), step - 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1)), step + 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2)), null);
+});
+
+test('verifyCode rejects malformed codes', () => {
+  const secret = generateSecret();
+  assert.equal(verifyCode(secret, ''), null);
+  assert.equal(verifyCode(secret, '12345'), null);
+  assert.equal(verifyCode(secret, 'abcdef'), null);
+  assert.equal(verifyCode(secret, '1234567'), null);
+});
+
+test('buildOtpauthUri encodes the label and parameters', () => {
+  const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'ana@example.com', issuer: 'Movie Reviews' }));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/Movie Reviews:ana@example.com');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+});
+
+test('generateRecoveryCodes returns distinct codes in the display format', () => {
+  const codes = generateRecoveryCodes(10);
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Review, Watchlist, TrendingSnapshot } = require('../models');
+const { TRENDING_WINDOWS, computeTrending } = require('../jobs/trending');
+const { stub } = require('./helpers');
+
+test('computeTrending merges review and watchlist activity into a ranked snapshot', async (t) => {
+  const pipelines = {};
+  const saved = [];
+  const restores = [
+    stub(Review, {
+      aggregate: async pipeline => {
+        pipelines.reviews = pipeline;
+        return [
+          { _id: 'heat', score: 2.5, count: 1 },
+          { _id: 'matrix', score: 4.12345, count: 2 }
+        ];
+      }
+    }),
+    stub(Watchlist, {
+      aggregate: async pipeline => {
+        pipelines.watchlist = pipeline;
+        return [
+          { _id: 'heat', score: 2, count: 3 },
+          { _id: 'amelie', score: 0.5, count: 1 }
+        ];
+      }
+    }),
+    stub(TrendingSnapshot, {
+      findOneAndUpdate: async (filter, update) => {
+        saved.push({ filter, update });
+        return update;
+      }
+    })
+  ];
+  t.after(() => restores.forEach(restore => restore()));
+
+  const before = Date.now();
+  await computeTrending('week');
+  const after = Date.now();
+
+  // Only activity inside the window counts, and never on deleted movies
+  const reviewMatch = pipelines.reviews[0].$match;
+  const watchlistMatch = pipelines.watchlist[0].$match;
+  assert.deepEqual(reviewMatch.movieDeleted, { $ne: true });
+  assert.deepEqual(watchlistMatch.movieDeleted, { $ne: true });
+  const computedAt = reviewMatch.createdAt.$gte.getTime() + TRENDING_WINDOWS.week.lookbackMs;
+  assert.ok(computedAt >= before && computedAt <= after);
+  assert.equal(watchlistMatch.dateAdded.$gte.getTime(), reviewMatch.createdAt.$gte.getTime());
+
+  assert.equal(saved.length, 1);
+  assert.deepEqual(saved[0].filter, { window: 'week' });
+  assert.deepEqual(saved[0].update.movies, [
+    { movieId: 'heat', score: 4.5, recentReviews: 1, recentWatchlistAdds: 3 },
+    { movieId: 'matrix', score: 4.123, recentReviews: 2, recentWatchlistAdds: 0 },
+    { movieId: 'amelie', score: 0.5, recentReviews: 0, recentWatchlistAdds: 1 }
+  ]);
+});
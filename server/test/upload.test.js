@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { User, PersonalAccessToken } = require('../models');
+const { MAX_UPLOAD_BYTES } = require('../utils/images');
+const { setStorage } = require('../utils/storage');
+const userRoutes = require('../routes/users');
+const { PERSONAL_ACCESS_TOKEN, serve, stub } = require('./helpers');
+
+// As stored with an absolute UPLOAD_BASE_URL
+const oldImage = {
+  storageKey: 'users/user-1/old',
+  thumbnail: 'https://api.example.com/uploads/users/user-1/old-thumbnail.webp',
+  card: 'https://api.example.com/uploads/users/user-1/old-card.webp',
+  full: 'https://api.example.com/uploads/users/user-1/old-full.webp'
+};
+
+let user;
+let files;
+let removed;
+let updates;
+let server;
+const restores = [];
+
+// A query that can be awaited directly or after .select()
+const query = result => Object.assign(Promise.resolve(result), { select: async () => result });
+
+test.before(async () => {
+  setStorage({
+    put: async (key, buffer) => {
+      files.set(key, buffer);
+      return `/uploads/${key}`;
+    },
+    remove: async key => removed.push(key)
+  });
+  restores.push(
+    stub(PersonalAccessToken, {
+      findOne: async () => ({ userId: 'user-1', scopes: ['profile:write'], lastUsedAt: new Date() })
+    }),
+    stub(User, {
+      findById: () => query(user),
+      findOne: async () => null,
+      findByIdAndUpdate: async (id, update) => {
+        updates.push(update);
+        return { ...user, ...update };
+      }
+    })
+  );
+  server = await serve(userRoutes);
+});
+
+test.beforeEach(() => {
+  user = {
+    _id: 'user-1',
+    username: 'ana',
+    roles: ['user'],
+    profilePicture: oldImage.full,
+    profileImages: oldImage,
+    save: async () => {}
+  };
+  files = new Map();
+  removed = [];
+  updates = [];
+});
+
+test.after(async () => {
+  restores.forEach(restore => restore());
+  setStorage(null);
+  await server.close();
+});
+
+const image = (format, width = 800, height = 600) =>
+  sharp({ create: { width, height, channels: 3, background: '#c00' } })[format]().toBuffer();
+
+async function upload(data, type, filename = 'picture') {
+  const form = new FormData();
+  if (data) form.append('image', new Blob([data], { type }), filename);
+  const response = await fetch(`${server.url}/user-1/profile-picture`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${PERSONAL_ACCESS_TOKEN}` },
+    body: form
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('uploads must be a single JPEG, PNG or WebP image within the size limit', async () => {
+  const gif = await upload(Buffer.from('GIF89a'), 'image/gif');
+  assert.equal(gif.status, 400);
+  assert.equal(gif.body.message, 'Only JPEG, PNG and WebP images are accepted');
+
+  const tooLarge = await upload(Buffer.alloc(MAX_UPLOAD_BYTES + 1), 'image/png');
+  assert.equal(tooLarge.status, 413);
+  assert.equal(tooLarge.body.message, 'Image must be at most 5 MB');
+
+  const missing = await upload(null);
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.message, 'An image is required in the "image" field');
+
+  // The declared type is not trusted: the bytes have to match
+  const disguised = await upload(await image('tiff'), 'image/png');
+  assert.equal(disguised.status, 400);
+  assert.equal(disguised.body.message, 'Only JPEG, PNG and WebP images are accepted');
+
+  const garbage = await upload(Buffer.from('not an image at all'), 'image/jpeg');
+  assert.equal(garbage.status, 400);
+  assert.equal(garbage.body.message, 'File is not a valid image');
+
+  assert.equal(files.size, 0);
+  assert.deepEqual(removed, []);
+});
+
+test('an uploaded picture is stored in every avatar size and replaces the previous upload', async () => {
+  const result = await upload(await image('png'), 'image/png');
+
+  assert.equal(result.status, 200);
+  const { storageKey } = result.body.user.profileImages;
+  assert.match(storageKey, /^users\/user-1\/[0-9a-f]{16}$/);
+  assert.equal(result.body.user.profilePicture, `/uploads/${storageKey}-full.webp`);
+
+  const sizes = {};
+  for (const [key, data] of files) {
+    const { format, width, height } = await sharp(data).metadata();
+    assert.equal(format, 'webp');
+    sizes[key.slice(storageKey.length + 1)] = [width, height];
+  }
+  assert.deepEqual(sizes, {
+    'thumbnail.webp': [48, 48],
+    'card.webp': [150, 150],
+    'full.webp': [400, 400]
+  });
+
+  assert.deepEqual(removed, ['old-thumbnail', 'old-card', 'old-full'].map(name => `users/user-1/${name}.webp`));
+});
+
+test('small pictures are not enlarged', async () => {
+  const result = await upload(await image('jpeg', 100, 100), 'image/jpeg');
+
+  assert.equal(result.status, 200);
+  const full = files.get(`${result.body.user.profileImages.storageKey}-full.webp`);
+  const { width, height } = await sharp(full).metadata();
+  assert.deepEqual([width, height], [100, 100]);
+});
+
+test('replacing the picture by URL removes the uploaded files', async () => {
+  const update = async body => {
+    const response = await fetch(`${server.url}/user-1`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${PERSONAL_ACCESS_TOKEN}` },
+      body: JSON.stringify(body)
+    });
+    return response.status;
+  };
+
+  // Sending the current picture back changes nothing
+  assert.equal(await update({ username: 'ana_b', profilePicture: oldImage.full }), 200);
+  assert.deepEqual(updates, [{ username: 'ana_b' }]);
+  assert.deepEqual(removed, []);
+
+  assert.equal(await update({ profilePicture: 'https://example.com/ana.png' }), 200);
+  assert.deepEqual(updates[1], { profilePicture: 'https://example.com/ana.png' });
+  assert.deepEqual(removed, ['old-thumbnail', 'old-card', 'old-full'].map(name => `users/user-1/${name}.webp`));
+});
@@ -0,0 +1,15 @@
+const { AuditLog } = require('../models');
+
+// Record a security-relevant event. Failures are logged but never thrown,
+// so auditing can't break the request that triggered it.
+async function recordAudit({ action, userId = null, actorId = null, ip = null, details = {} }) {
+  try {
+    await AuditLog.create({ action, userId, actorId, ip, details });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+}
+
+module.exports = {
+  recordAudit
+};
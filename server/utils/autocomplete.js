@@ -0,0 +1,294 @@
+const { Movie } = require('../models');
+
+// In-memory suggestion index over movie titles, directors and cast names.
+// Built lazily from the catalog, rebuilt after catalog writes (see
+// invalidateAutocompleteIndex) and at least every INDEX_TTL_MS so changes
+// made by other processes are picked up too.
+const INDEX_TTL_MS = 10 * 60 * 1000;
+const TYPE_WEIGHTS = { movie: 0.15, director: 0.05, cast: 0 };
+
+let index = null;
+let indexBuiltAt = 0;
+let buildPromise = null;
+let generation = 0; // bumped on invalidation, so builds started before it aren't kept
+
+// Lowercase, strip accents and punctuation: "Amélie!" -> "amelie"
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function trigrams(word) {
+  const padded = `  ${word} `;
+  const result = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    result.add(padded.slice(i, i + 3));
+  }
+  return result;
+}
+
+// Number of typos tolerated for a query token of this length
+function maxTypos(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+// Optimal string alignment distance, giving up once it exceeds maxDistance
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+async function buildIndex() {
+  const movies = await Movie.find({})
+    .select('title director cast.name releaseYear posterUrl averageRating totalReviews')
+    .lean();
+
+  const entries = [];
+  const people = new Map();
+
+  const addPerson = (type, name, movie) => {
+    const normalized = normalize(name);
+    if (!normalized) return;
+    const key = `${type}:${normalized}`;
+    if (!people.has(key)) {
+      people.set(key, { type, label: name, normalized, movieCount: 0, popularity: 0 });
+    }
+    const person = people.get(key);
+    person.movieCount += 1;
+    person.popularity += movie.totalReviews || 0;
+  };
+
+  for (const movie of movies) {
+    entries.push({
+      type: 'movie',
+      label: movie.title,
+      normalized: normalize(movie.title),
+      movieId: movie._id,
+      releaseYear: movie.releaseYear,
+      posterUrl: movie.posterUrl,
+      popularity: movie.totalReviews || 0
+    });
+
+    if (movie.director) addPerson('director', movie.director, movie);
+    for (const member of movie.cast || []) {
+      addPerson('cast', member.name, movie);
+    }
+  }
+  entries.push(...people.values());
+
+  // word -> entry ids, and trigram -> words for typo-tolerant lookups
+  const wordEntries = new Map();
+  const trigramWords = new Map();
+
+  entries.forEach((entry, id) => {
+    entry.words = entry.normalized.split(' ').filter(Boolean);
+    for (const word of entry.words) {
+      if (!wordEntries.has(word)) {
+        wordEntries.set(word, new Set());
+        for (const gram of trigrams(word)) {
+          if (!trigramWords.has(gram)) trigramWords.set(gram, []);
+          trigramWords.get(gram).push(word);
+        }
+      }
+      wordEntries.get(word).add(id);
+    }
+  });
+
+  return {
+    entries,
+    wordEntries,
+    trigramWords,
+    sortedWords: [...wordEntries.keys()].sort()
+  };
+}
+
+async function getIndex() {
+  if (index && Date.now() - indexBuiltAt < INDEX_TTL_MS) {
+    return index;
+  }
+
+  if (!buildPromise) {
+    const builtFor = generation;
+    buildPromise = buildIndex()
+      .then(built => {
+        // The catalog changed while building, so the next lookup rebuilds
+        if (builtFor === generation) {
+          index = built;
+          indexBuiltAt = Date.now();
+        }
+        return built;
+      })
+      .finally(() => {
+        buildPromise = null;
+      });
+  }
+
+  // Serve the stale index while a rebuild is running
+  return index || buildPromise;
+}
+
+// Drop the index so the next lookup rebuilds it from the catalog
+function invalidateAutocompleteIndex() {
+  generation += 1;
+  indexBuiltAt = 0;
+}
+
+// Words that start with the token, found by binary search on the sorted list
+function prefixWords(sortedWords, token) {
+  let low = 0;
+  let high = sortedWords.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sortedWords[mid] < token) low = mid + 1;
+    else high = mid;
+  }
+
+  const result = [];
+  for (let i = low; i < sortedWords.length && sortedWords[i].startsWith(token); i++) {
+    result.push(sortedWords[i]);
+  }
+  return result;
+}
+
+// Words within the token's typo budget, compared against the whole word and its prefix
+function fuzzyWords(trigramWords, token) {
+  const allowed = maxTypos(token.length);
+  if (allowed === 0) {
+    return [];
+  }
+
+  const seen = new Set();
+  const result = [];
+  for (const gram of trigrams(token)) {
+    for (const word of trigramWords.get(gram) || []) {
+      if (seen.has(word)) continue;
+      seen.add(word);
+      const distance = Math.min(
+        editDistance(token, word, allowed),
+        editDistance(token, word.slice(0, token.length), allowed)
+      );
+      if (distance <= allowed) {
+        result.push(word);
+      }
+    }
+  }
+  return result;
+}
+
+// How well one query token matches an entry, from 0 (no match) to 1 (exact word)
+function tokenScore(token, words) {
+  const allowed = maxTypos(token.length);
+  let best = 0;
+
+  for (const word of words) {
+    if (word === token) return 1;
+    if (word.startsWith(token)) {
+      best = Math.max(best, 0.9);
+      continue;
+    }
+    if (allowed > 0) {
+      const distance = Math.min(
+        editDistance(token, word, allowed),
+        editDistance(token, word.slice(0, token.length), allowed)
+      );
+      if (distance <= allowed) {
+        best = Math.max(best, 0.75 - 0.15 * distance);
+      }
+    }
+  }
+
+  return best;
+}
+
+// Ranked suggestions for a partial, possibly misspelled query
+async function suggest(queryText, { limit = 8, types = ['movie', 'director', 'cast'] } = {}) {
+  const normalizedQuery = normalize(queryText);
+  const tokens = normalizedQuery.split(' ').filter(Boolean);
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  const { entries, wordEntries, trigramWords, sortedWords } = await getIndex();
+
+  // Gather candidates from the longest (most selective) token
+  const anchor = tokens.reduce((longest, token) => (token.length > longest.length ? token : longest));
+  const candidateIds = new Set();
+  for (const word of [...prefixWords(sortedWords, anchor), ...fuzzyWords(trigramWords, anchor)]) {
+    for (const id of wordEntries.get(word)) {
+      candidateIds.add(id);
+    }
+  }
+
+  const results = [];
+  for (const id of candidateIds) {
+    const entry = entries[id];
+    if (!types.includes(entry.type)) continue;
+
+    let total = 0;
+    let matched = true;
+    for (const token of tokens) {
+      const score = tokenScore(token, entry.words);
+      if (score === 0) {
+        matched = false;
+        break;
+      }
+      total += score;
+    }
+    if (!matched) continue;
+
+    let score = total / tokens.length + TYPE_WEIGHTS[entry.type];
+    if (entry.normalized.startsWith(normalizedQuery)) {
+      score += 0.2;
+    }
+
+    results.push({ entry, score });
+  }
+
+  results.sort((a, b) => b.score - a.score || b.entry.popularity - a.entry.popularity);
+
+  return results.slice(0, limit).map(({ entry, score }) => ({
+    type: entry.type,
+    label: entry.label,
+    ...(entry.type === 'movie'
+      ? { movieId: entry.movieId, releaseYear: entry.releaseYear, posterUrl: entry.posterUrl }
+      : { movieCount: entry.movieCount }),
+    score: Math.round(score * 100) / 100
+  }));
+}
+
+module.exports = {
+  normalize,
+  suggest,
+  invalidateAutocompleteIndex
+};
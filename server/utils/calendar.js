@@ -0,0 +1,152 @@
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Movie filter for releases between from (inclusive) and until (exclusive),
+// optionally in one region and of the given types
+function releaseFilter({ from, until, region = null, types = [] }) {
+  return {
+    releaseDates: {
+      $elemMatch: {
+        date: { $gte: from, $lt: until },
+        ...(region ? { region: region.toUpperCase() } : {}),
+        ...(types.length > 0 ? { type: { $in: types } } : {})
+      }
+    }
+  };
+}
+
+// One event per movie and release type inside the window, sorted by date.
+// Without a region the earliest release anywhere is used.
+function releaseEvents(movies, { from, until, region = null, types = [] }) {
+  const events = [];
+  for (const movie of movies) {
+    const earliest = new Map();
+    for (const release of movie.releaseDates || []) {
+      const date = new Date(release.date);
+      if (date < from || date >= until) continue;
+      if (region && release.region !== region.toUpperCase()) continue;
+      if (types.length > 0 && !types.includes(release.type)) continue;
+
+      if (!earliest.has(release.type) || date < earliest.get(release.type).date) {
+        earliest.set(release.type, { date, region: release.region, type: release.type });
+      }
+    }
+    for (const release of earliest.values()) {
+      events.push({ ...release, movie });
+    }
+  }
+  return events.sort((a, b) => a.date - b.date || a.movie.title.localeCompare(b.movie.title));
+}
+
+// Start of the UTC week (Monday) or month containing date
+function periodStart(date, groupBy) {
+  if (groupBy === 'month') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  return new Date(day - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+function periodEnd(start, groupBy) {
+  if (groupBy === 'month') {
+    return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  }
+  return new Date(start.getTime() + 7 * DAY_MS);
+}
+
+// "2026-10" for months, ISO week "2026-W43" for weeks
+function periodKey(start, groupBy) {
+  if (groupBy === 'month') {
+    return start.toISOString().slice(0, 7);
+  }
+  // The ISO week belongs to the year of its Thursday
+  const thursday = new Date(start.getTime() + 3 * DAY_MS);
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.floor((thursday - yearStart) / (7 * DAY_MS)) + 1;
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Group sorted events into consecutive weeks or months; empty periods are left out
+function groupEvents(events, groupBy) {
+  const groups = [];
+  for (const event of events) {
+    const start = periodStart(event.date, groupBy);
+    let group = groups[groups.length - 1];
+    if (!group || group.start.getTime() !== start.getTime()) {
+      group = { period: periodKey(start, groupBy), start, end: periodEnd(start, groupBy), releases: [] };
+      groups.push(group);
+    }
+    group.releases.push(event);
+  }
+  return groups;
+}
+
+// iCalendar text escaping (RFC 5545 section 3.3.11)
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// An iCalendar feed with one all-day event per release event
+function toICalendar(events, { name, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Movie Review//Upcoming Releases//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const { movie, date, region, type } of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${movie._id}-${type}-${region}@movie-review`,
+      `DTSTAMP:${formatTimestamp(now)}`,
+      `DTSTART;VALUE=DATE:${formatDate(date)}`,
+      `DTEND;VALUE=DATE:${formatDate(new Date(date.getTime() + DAY_MS))}`,
+      `SUMMARY:${escapeText(`${movie.title} (${type === 'digital' ? 'digital' : 'in theaters'}, ${region})`)}`,
+      `DESCRIPTION:${escapeText(movie.synopsis)}`,
+      `URL:${CLIENT_URL}/movies/${movie._id}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  releaseFilter,
+  releaseEvents,
+  groupEvents,
+  toICalendar
+};
@@ -0,0 +1,238 @@
+const { Movie, CatalogImport } = require('../models');
+const { SYNCED_FIELDS } = require('./tmdb');
+const { linkCredits } = require('./people');
+const { snapshotOf, diffSnapshots, recordRevision } = require('./revisions');
+const { invalidateAutocompleteIndex } = require('./autocomplete');
+const { invalidateSimilarCache } = require('./similar');
+
+// Movie fields that can be exported and imported
+const CATALOG_FIELDS = [
+  'title', 'releaseYear', 'genre', 'director', 'cast', 'synopsis', 'duration',
+  'posterUrl', 'backdropUrl', 'trailerUrl', 'tmdbId', 'imdbId'
+];
+const EXPORT_COLUMNS = ['id', ...CATALOG_FIELDS, 'averageRating', 'totalReviews'];
+const REQUIRED_FIELDS = ['title', 'releaseYear', 'genre', 'director', 'cast', 'synopsis'];
+const INTEGER_FIELDS = ['releaseYear', 'duration', 'tmdbId'];
+
+const MAX_IMPORT_ROWS = 5000;
+const REPORT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// In CSV, lists are separated by "|" and cast members are "Name:Character"
+function formatCast(cast) {
+  return cast.map(member => (member.character ? `${member.name}:${member.character}` : member.name)).join('|');
+}
+
+function parseCast(value) {
+  const entries = typeof value === 'string' ? value.split('|') : value;
+  return entries
+    .map(entry => {
+      if (typeof entry !== 'string') {
+        return { name: String(entry?.name ?? '').trim(), character: entry?.character ? String(entry.character).trim() : null };
+      }
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { name: entry.trim(), character: null }
+        : { name: entry.slice(0, separator).trim(), character: entry.slice(separator + 1).trim() || null };
+    })
+    .filter(member => member.name);
+}
+
+// One movie as an export record; flat for CSV, structured for JSON
+function toExportRecord(movie, format) {
+  const record = { id: movie._id.toString() };
+  for (const field of EXPORT_COLUMNS.slice(1)) {
+    record[field] = movie[field] ?? null;
+  }
+  if (format === 'csv') {
+    record.genre = (movie.genre || []).join('|');
+    record.cast = formatCast(movie.cast || []);
+  } else {
+    record.cast = (movie.cast || []).map(member => ({ name: member.name, character: member.character || null }));
+  }
+  return record;
+}
+
+// Turn an imported record (CSV strings or JSON values) into Movie fields.
+// Blank values are left out, so on update they keep the current value.
+function toMovieData(record) {
+  const data = {};
+  const messages = [];
+
+  for (const field of CATALOG_FIELDS) {
+    const value = record[field];
+    if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+      continue;
+    }
+
+    if (field === 'genre') {
+      const genres = typeof value === 'string' ? value.split('|') : value;
+      if (!Array.isArray(genres)) {
+        messages.push('genre must be a list');
+        continue;
+      }
+      data.genre = genres.map(genre => String(genre).trim()).filter(Boolean);
+    } else if (field === 'cast') {
+      if (typeof value !== 'string' && !Array.isArray(value)) {
+        messages.push('cast must be a list');
+        continue;
+      }
+      data.cast = parseCast(value);
+    } else if (INTEGER_FIELDS.includes(field)) {
+      const number = Number(value);
+      if (!Number.isInteger(number)) {
+        messages.push(`${field} must be a whole number`);
+        continue;
+      }
+      data[field] = number;
+    } else {
+      data[field] = String(value).trim();
+    }
+  }
+
+  return { data, messages };
+}
+
+// Find the catalog movie a record refers to: by TMDB id, then IMDb id, then title and year
+async function findExisting(data) {
+  const lookups = [];
+  if (data.tmdbId) lookups.push({ tmdbId: data.tmdbId });
+  if (data.imdbId) lookups.push({ imdbId: data.imdbId });
+  if (data.title && data.releaseYear) lookups.push({ title: data.title, releaseYear: data.releaseYear });
+
+  for (const filter of lookups) {
+    const movie = await Movie.findOne(filter).setOptions({ withDeleted: true });
+    if (movie) return movie;
+  }
+  return null;
+}
+
+// Keys identifying a record within one file, to catch duplicate rows
+function recordKeys(data, existing) {
+  if (existing) {
+    return [`movie:${existing._id}`];
+  }
+  const keys = [];
+  if (data.tmdbId) keys.push(`tmdb:${data.tmdbId}`);
+  if (data.imdbId) keys.push(`imdb:${data.imdbId}`);
+  if (data.title && data.releaseYear) keys.push(`title:${data.title.toLowerCase()}:${data.releaseYear}`);
+  return keys;
+}
+
+function validationMessages(movie) {
+  const error = movie.validateSync();
+  return error ? Object.values(error.errors).map(item => item.message) : [];
+}
+
+// Validate and apply one record. Nothing is written when dryRun is set.
+async function importRecord(data, { dryRun, authorId, existing }) {
+  if (existing?.deletedAt) {
+    return { action: 'error', movieId: existing._id, messages: ['Matches a deleted movie, restore it first'] };
+  }
+
+  if (!existing) {
+    const missing = REQUIRED_FIELDS.filter(field => data[field] === undefined || data[field].length === 0);
+    if (missing.length > 0) {
+      return { action: 'error', messages: missing.map(field => `${field} is required`) };
+    }
+
+    const movie = new Movie(data);
+    const messages = validationMessages(movie);
+    if (messages.length > 0) {
+      return { action: 'error', messages };
+    }
+
+    if (!dryRun) {
+      await linkCredits(movie);
+      await movie.save();
+      await recordRevision(movie, { action: 'create', authorId });
+    }
+    return { action: 'create', movieId: movie._id };
+  }
+
+  const previous = snapshotOf(existing);
+  existing.set(data);
+  const changed = diffSnapshots(previous, snapshotOf(existing)).map(change => change.field);
+  if (changed.length === 0) {
+    return { action: 'unchanged', movieId: existing._id };
+  }
+
+  const messages = validationMessages(existing);
+  if (messages.length > 0) {
+    return { action: 'error', movieId: existing._id, messages };
+  }
+
+  if (!dryRun) {
+    // Imported edits to TMDB fields count as hand edits, like PUT /api/movies/:id
+    const edited = SYNCED_FIELDS.filter(field => changed.includes(field));
+    existing.overriddenFields = [...new Set([...(existing.overriddenFields || []), ...edited])];
+
+    if (changed.includes('director') || changed.includes('cast')) {
+      await linkCredits(existing);
+    }
+    await existing.save();
+    await recordRevision(existing, { action: 'update', authorId, previous });
+  }
+  return { action: 'update', movieId: existing._id };
+}
+
+// Import parsed records and store the outcome of every row.
+// Returns the saved CatalogImport.
+async function importCatalog(records, { format, dryRun = false, authorId }) {
+  const summary = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+  const results = [];
+  const seenKeys = new Map();
+
+  for (const [index, record] of records.entries()) {
+    const row = index + 1;
+    const title = typeof record?.title === 'string' ? record.title.trim() : null;
+    let result;
+
+    try {
+      const { data, messages } = toMovieData(record || {});
+      const existing = await findExisting(data);
+      const keys = recordKeys(data, existing);
+      const duplicateOf = keys.map(key => seenKeys.get(key)).find(Boolean);
+
+      if (messages.length > 0) {
+        result = { action: 'error', messages };
+      } else if (duplicateOf) {
+        result = { action: 'error', messages: [`Duplicate of row ${duplicateOf}`] };
+      } else {
+        result = await importRecord(data, { dryRun, authorId, existing });
+      }
+
+      // Later rows matching this movie are duplicates, whether they find it by
+      // the row's own keys (dry run) or through the catalog (after it was written)
+      if (result.action !== 'error') {
+        [...keys, `movie:${result.movieId}`].forEach(key => seenKeys.set(key, row));
+      }
+    } catch (error) {
+      result = { action: 'error', messages: [error.code === 11000 ? 'Conflicts with an existing movie' : error.message] };
+    }
+
+    summary[{ create: 'created', update: 'updated', unchanged: 'unchanged', error: 'failed' }[result.action]] += 1;
+    results.push({ row, title, movieId: null, messages: [], ...result });
+  }
+
+  if (!dryRun && (summary.created > 0 || summary.updated > 0)) {
+    invalidateAutocompleteIndex();
+    invalidateSimilarCache();
+  }
+
+  return CatalogImport.create({
+    createdBy: authorId,
+    format,
+    dryRun,
+    summary,
+    results,
+    expiresAt: new Date(Date.now() + REPORT_RETENTION_MS)
+  });
+}
+
+module.exports = {
+  CATALOG_FIELDS,
+  EXPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  toExportRecord,
+  importCatalog
+};
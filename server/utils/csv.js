@@ -0,0 +1,99 @@
+// Minimal RFC 4180 CSV reading and writing.
+
+// Spreadsheets run text starting with these as a formula, so written cells
+// get a leading ' (shown as text) that parsing takes off again
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function unescapeCell(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// rows: array of objects; columns: keys to write, in order
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Parse into an array of rows, each an array of cell strings
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // skip a byte order mark
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Parse CSV with a header line into an array of objects keyed by header
+function parseCsv(text) {
+  const [header, ...rows] = parseRows(text);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => name.trim());
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = unescapeCell(cells[index] ?? '');
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { User } = require('../models');
+const { hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+// Unverified accounts can always browse; when this is on they also can't
+// post reviews or change their email until they confirm their address.
+function isVerificationRequired() {
+  return process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+}
+
+// Generate a fresh verification token for the user and email the link
+async function sendVerificationEmail(user) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  await User.updateOne({ _id: user._id }, {
+    emailVerificationTokenHash: hashToken(verificationToken),
+    emailVerificationExpires: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+  });
+
+  const verifyUrl = `${CLIENT_URL}/verify-email?token=${verificationToken}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below. It expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.\n\n${verifyUrl}`
+  });
+}
+
+// Mark the account owning the token as verified. Returns the user, or null
+// when the token is unknown or expired.
+async function verifyEmailToken(token) {
+  return User.findOneAndUpdate(
+    {
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      emailVerified: true,
+      emailVerificationTokenHash: null,
+      emailVerificationExpires: null
+    },
+    { new: true }
+  );
+}
+
+module.exports = {
+  isVerificationRequired,
+  sendVerificationEmail,
+  verifyEmailToken
+};
@@ -0,0 +1,109 @@
+const { Genre } = require('../models');
+
+// Language the catalog's own titles, synopses and genre names are written in
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+
+const LOCALE_PATTERN = /^([a-z]{2,3})(?:-([a-z]{4}))?(?:-([a-z]{2}|\d{3}))?$/i;
+
+// Canonical form of a locale tag ("pt_br" -> "pt-BR"), or null if it isn't one
+function normalizeLocale(value) {
+  const match = LOCALE_PATTERN.exec(String(value ?? '').trim().replace(/_/g, '-'));
+  if (!match) {
+    return null;
+  }
+  const [, language, script, region] = match;
+  return [
+    language.toLowerCase(),
+    script && script[0].toUpperCase() + script.slice(1).toLowerCase(),
+    region && region.toUpperCase()
+  ].filter(Boolean).join('-');
+}
+
+function languageOf(locale) {
+  return locale.split('-')[0];
+}
+
+// Locales the client asked for, best first: the lang query parameter
+// (e.g. lang=fr-CA,fr) wins over the Accept-Language header
+function requestedLocales(req) {
+  const fromQuery = req.query.lang
+    ? String(req.query.lang).split(',')
+    : req.acceptsLanguages().filter(locale => locale !== '*');
+
+  return [...new Set(fromQuery.map(normalizeLocale).filter(Boolean))];
+}
+
+// Pick the entry for the best requested locale that has a value for field.
+// For each requested locale try the exact tag, then the bare language, then
+// any regional variant of it. The catalog's own language only takes an exact
+// regional match (en-GB); otherwise, like a request nothing matches, it gets
+// the original text (null).
+function pickTranslation(entries, locales, field) {
+  const candidates = entries.filter(entry => entry[field]);
+
+  for (const locale of locales) {
+    const language = languageOf(locale);
+    const exact = candidates.find(entry => entry.locale === locale);
+    if (exact || language === languageOf(DEFAULT_LOCALE)) {
+      return exact || null;
+    }
+
+    const match = candidates.find(entry => entry.locale === language)
+      || candidates.find(entry => languageOf(entry.locale) === language);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+// Genre name -> labels for the given genre names
+async function loadGenreLabels(names) {
+  if (names.length === 0) {
+    return new Map();
+  }
+  const genres = await Genre.find({ name: { $in: names } }).lean();
+  return new Map(genres.map(genre => [genre.name, genre.labels]));
+}
+
+function genreLabel(name, labelsByGenre, locales) {
+  const match = pickTranslation(labelsByGenre.get(name) || [], locales, 'label');
+  return match ? match.label : name;
+}
+
+// Swap a lean movie's title and synopsis for the requested locale.
+// genre keeps the canonical names used for filtering; genreLabels has their
+// display labels in the same order.
+function localizeMovie(movie, locales, labelsByGenre) {
+  const { translations = [], ...rest } = movie;
+  const title = pickTranslation(translations, locales, 'title');
+  const synopsis = pickTranslation(translations, locales, 'synopsis');
+
+  return {
+    ...rest,
+    title: title ? title.title : movie.title,
+    originalTitle: movie.title,
+    synopsis: synopsis ? synopsis.synopsis : movie.synopsis,
+    locale: title ? title.locale : DEFAULT_LOCALE,
+    ...(movie.genre ? { genreLabels: movie.genre.map(name => genreLabel(name, labelsByGenre, locales)) } : {})
+  };
+}
+
+// Localize lean movies for a request. Responses vary with Accept-Language.
+async function localizeMovies(req, res, movies) {
+  res.vary('Accept-Language');
+  const locales = requestedLocales(req);
+  const labelsByGenre = await loadGenreLabels([...new Set(movies.flatMap(movie => movie.genre || []))]);
+  return movies.map(movie => localizeMovie(movie, locales, labelsByGenre));
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  requestedLocales,
+  pickTranslation,
+  loadGenreLabels,
+  genreLabel,
+  localizeMovie,
+  localizeMovies
+};
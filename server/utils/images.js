@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+// Formats we accept, checked against the file's bytes rather than its declared type
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp'];
+const ACCEPTED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_UPLOAD_BYTES = (parseInt(process.env.UPLOAD_MAX_MB) || 5) * 1024 * 1024;
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000; // refuse decompression bombs
+
+// Sizes generated for each kind of image, cropped to fill
+const IMAGE_VARIANTS = {
+  poster: {
+    thumbnail: { width: 92, height: 138 },
+    card: { width: 342, height: 513 },
+    full: { width: 780, height: 1170 }
+  },
+  backdrop: {
+    thumbnail: { width: 300, height: 169 },
+    card: { width: 780, height: 439 },
+    full: { width: 1920, height: 1080 }
+  },
+  avatar: {
+    thumbnail: { width: 48, height: 48 },
+    card: { width: 150, height: 150 },
+    full: { width: 400, height: 400 }
+  }
+};
+const VARIANT_NAMES = ['thumbnail', 'card', 'full'];
+
+// Returns an error message for anything that isn't an image we accept, or null
+async function inspectImage(buffer) {
+  try {
+    const { format, width, height } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    if (!ACCEPTED_FORMATS.includes(format)) {
+      return 'Only JPEG, PNG and WebP images are accepted';
+    }
+    if (!width || !height) {
+      return 'Image has no dimensions';
+    }
+    return null;
+  } catch (error) {
+    return 'File is not a valid image';
+  }
+}
+
+// Resize an uploaded image into every variant of its kind and store them
+// under folder/. Returns { thumbnail, card, full, storageKey }.
+async function storeImage(buffer, kind, folder) {
+  const storage = getStorage();
+  const storageKey = `${folder}/${crypto.randomBytes(8).toString('hex')}`;
+  const image = { storageKey };
+
+  for (const [variant, { width, height }] of Object.entries(IMAGE_VARIANTS[kind])) {
+    const data = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate() // apply EXIF orientation before the metadata is dropped
+      .resize({ width, height, fit: 'cover', withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer();
+
+    image[variant] = await storage.put(`${storageKey}-${variant}.webp`, data, { contentType: 'image/webp' });
+  }
+
+  return image;
+}
+
+// Remove the stored variants of an uploaded image; other URLs are left alone
+async function deleteImage(image) {
+  if (!image?.storageKey) {
+    return;
+  }
+
+  const storage = getStorage();
+  for (const variant of VARIANT_NAMES) {
+    await storage.remove(`${image.storageKey}-${variant}.webp`);
+  }
+}
+
+module.exports = {
+  ACCEPTED_MIME_TYPES,
+  MAX_UPLOAD_BYTES,
+  IMAGE_VARIANTS,
+  inspectImage,
+  storeImage,
+  deleteImage
+};
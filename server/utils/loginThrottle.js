@@ -0,0 +1,99 @@
+const { LoginThrottle } = require('../models');
+const { recordAudit } = require('./audit');
+
+// Throttling configuration
+const ACCOUNT_LOCK_THRESHOLD = parseInt(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD) || 10;
+const IP_LOCK_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCK_THRESHOLD) || 50;
+const LOCK_DURATION_MINUTES = parseInt(process.env.LOGIN_LOCK_DURATION_MINUTES) || 15;
+const FREE_ATTEMPTS = 3; // failures allowed before delays kick in
+const MAX_DELAY_SECONDS = 60;
+const FAILURE_WINDOW_MINUTES = 60; // counters reset after this long without a failure
+
+function accountKey(email) {
+  return `account:${email.toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip}`;
+}
+
+function throttleKeys(email, ip) {
+  return [
+    { key: accountKey(email), scope: 'account', threshold: ACCOUNT_LOCK_THRESHOLD },
+    { key: ipKey(ip), scope: 'ip', threshold: IP_LOCK_THRESHOLD }
+  ];
+}
+
+// Delay before the next attempt grows exponentially after the free attempts
+function delaySeconds(failures) {
+  if (failures <= FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+}
+
+// Returns the number of seconds the caller must wait, or 0 if a login
+// attempt for this account from this IP is allowed right now.
+async function getLoginRetryAfter(email, ip) {
+  const keys = throttleKeys(email, ip).map(entry => entry.key);
+  const throttles = await LoginThrottle.find({ key: { $in: keys } }).lean();
+
+  const now = Date.now();
+  let waitMs = 0;
+  for (const throttle of throttles) {
+    for (const until of [throttle.lockedUntil, throttle.nextAttemptAt]) {
+      if (until && until.getTime() > now) {
+        waitMs = Math.max(waitMs, until.getTime() - now);
+      }
+    }
+  }
+
+  return Math.ceil(waitMs / 1000);
+}
+
+// Count a failed attempt against both the account and the IP
+async function recordLoginFailure(email, ip, userId = null) {
+  const now = new Date();
+
+  for (const { key, scope, threshold } of throttleKeys(email, ip)) {
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MINUTES * 60 * 1000) }
+      },
+      { upsert: true, new: true }
+    );
+
+    const update = {
+      nextAttemptAt: new Date(now.getTime() + delaySeconds(throttle.failures) * 1000)
+    };
+
+    if (throttle.failures >= threshold) {
+      const lockedUntil = new Date(now.getTime() + LOCK_DURATION_MINUTES * 60 * 1000);
+      update.lockedUntil = lockedUntil;
+      update.failures = 0;
+      update.expiresAt = lockedUntil;
+
+      await recordAudit({
+        action: scope === 'account' ? 'account_locked' : 'ip_locked',
+        userId: scope === 'account' ? userId : null,
+        ip,
+        details: { email, failures: throttle.failures, lockedUntil }
+      });
+    }
+
+    await LoginThrottle.updateOne({ key }, update);
+  }
+}
+
+// Reset the account counter after a successful login
+async function clearLoginFailures(email) {
+  await LoginThrottle.deleteOne({ key: accountKey(email) });
+}
+
+module.exports = {
+  getLoginRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,109 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail configuration
+// MAIL_TRANSPORT selects how mail is delivered:
+//   smtp    - send through the SMTP server configured by SMTP_* variables
+//   file    - write each message as JSON into MAIL_OUTBOX_DIR (for local testing)
+//   console - print each message to stdout (default outside production, since
+//             it puts reset and verification links in the logs)
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+const MAIL_FROM = process.env.MAIL_FROM || 'Movie Reviews <no-reply@moviereview.com>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'movie-review-outbox');
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    send: message => transporter.sendMail(message)
+  };
+}
+
+function createFileTransport() {
+  return {
+    async send(message) {
+      await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.writeFile(
+        path.join(MAIL_OUTBOX_DIR, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+// What is wrong with the mail configuration, or null when mail can be sent
+function mailConfigProblem() {
+  if (!MAIL_TRANSPORT) {
+    return 'MAIL_TRANSPORT must be set in production';
+  }
+  if (!transports[MAIL_TRANSPORT]) {
+    return `Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`;
+  }
+  return null;
+}
+
+// Sending fails while mail is misconfigured; the server itself still starts
+function assertMailConfigured() {
+  const problem = mailConfigProblem();
+  if (problem) {
+    throw new Error(problem);
+  }
+}
+
+function getTransport() {
+  if (!transport) {
+    assertMailConfigured();
+    transport = transports[MAIL_TRANSPORT]();
+  }
+  return transport;
+}
+
+// Replace the active transport (e.g. with an in-memory one in tests)
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+// Send a message through the configured transport
+async function sendMail({ to, subject, text, html }) {
+  await getTransport().send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+}
+
+module.exports = {
+  mailConfigProblem,
+  assertMailConfigured,
+  sendMail,
+  setTransport
+};
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { revokeUserSessions } = require('./tokens');
+const { revokeUserTokens } = require('./personalAccessTokens');
+const { sendMail } = require('./mailer');
+
+// OIDC provider configuration
+// OIDC_PROVIDERS is a JSON array, one entry per identity provider:
+//   [{ "id": "google", "name": "Google", "issuer": "https://accounts.google.com",
+//      "clientId": "...", "clientSecret": "...", "scopes": "openid email profile" }]
+// Endpoints are discovered from the issuer unless authorizationEndpoint,
+// tokenEndpoint and jwksUri are given explicitly (handy for a local mock IdP).
+const SERVER_URL = process.env.SERVER_URL || 'http://localhost:5000';
+
+function loadProviders() {
+  if (!process.env.OIDC_PROVIDERS) {
+    return [];
+  }
+
+  try {
+    return JSON.parse(process.env.OIDC_PROVIDERS);
+  } catch (error) {
+    console.error('Invalid OIDC_PROVIDERS configuration:', error.message);
+    return [];
+  }
+}
+
+const providers = loadProviders();
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+function getProvider(id) {
+  return providers.find(provider => provider.id === id) || null;
+}
+
+function listProviders() {
+  return providers.map(provider => ({
+    id: provider.id,
+    name: provider.name || provider.id
+  }));
+}
+
+function getRedirectUri(provider) {
+  return provider.redirectUri || `${SERVER_URL}/api/auth/oidc/${provider.id}/callback`;
+}
+
+// Resolve provider endpoints, using discovery for anything not configured
+async function getProviderMetadata(provider) {
+  if (metadataCache.has(provider.id)) {
+    return metadataCache.get(provider.id);
+  }
+
+  let discovered = {};
+  if (!provider.authorizationEndpoint || !provider.tokenEndpoint || !provider.jwksUri) {
+    const response = await axios.get(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    discovered = response.data;
+  }
+
+  const metadata = {
+    issuer: provider.issuer || discovered.issuer,
+    authorizationEndpoint: provider.authorizationEndpoint || discovered.authorization_endpoint,
+    tokenEndpoint: provider.tokenEndpoint || discovered.token_endpoint,
+    jwksUri: provider.jwksUri || discovered.jwks_uri
+  };
+
+  metadataCache.set(provider.id, metadata);
+  return metadata;
+}
+
+// Create the PKCE verifier/challenge pair plus state and nonce for a login attempt
+function createAuthorizationParams() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  return {
+    state: crypto.randomBytes(16).toString('base64url'),
+    nonce: crypto.randomBytes(16).toString('base64url'),
+    codeVerifier,
+    codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+  };
+}
+
+async function buildAuthorizationUrl(provider, { state, nonce, codeChallenge }) {
+  const metadata = await getProviderMetadata(provider);
+  const url = new URL(metadata.authorizationEndpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider),
+    scope: provider.scopes || 'openid email profile',
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+}
+
+// Exchange an authorization code for the provider's tokens
+async function exchangeCode(provider, code, codeVerifier) {
+  const metadata = await getProviderMetadata(provider);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getRedirectUri(provider),
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  if (provider.clientSecret) {
+    params.set('client_secret', provider.clientSecret);
+  }
+
+  const response = await axios.post(metadata.tokenEndpoint, params.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+
+  return response.data;
+}
+
+async function getSigningKey(provider, kid) {
+  const metadata = await getProviderMetadata(provider);
+
+  let keys = jwksCache.get(provider.id);
+  let jwk = keys?.find(key => key.kid === kid);
+
+  // Refetch once in case the provider rotated its keys
+  if (!jwk) {
+    const response = await axios.get(metadata.jwksUri);
+    keys = response.data.keys || [];
+    jwksCache.set(provider.id, keys);
+    jwk = keys.find(key => key.kid === kid) || (kid ? null : keys[0]);
+  }
+
+  if (!jwk) {
+    throw new Error('No matching signing key found for ID token');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Verify the ID token signature and claims, returning its payload
+async function verifyIdToken(provider, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('ID token is malformed');
+  }
+
+  const metadata = await getProviderMetadata(provider);
+  const key = await getSigningKey(provider, decoded.header.kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    audience: provider.clientId,
+    issuer: metadata.issuer
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+}
+
+async function generateUsername(claims) {
+  const base = (claims.preferred_username || claims.email?.split('@')[0] || 'user')
+    .replace(/[^a-zA-Z0-9_]/g, '')
+    .slice(0, 24)
+    .padEnd(3, '_');
+
+  let username = base;
+  while (await User.exists({ username })) {
+    username = `${base}_${crypto.randomInt(1000, 10000)}`;
+  }
+  return username;
+}
+
+// Find the user for an external identity, linking it to an existing account
+// by verified email or creating a new account.
+// Returns { user } or { error } when the identity can't be linked safely.
+async function findOrCreateOidcUser(provider, claims) {
+  const linked = await User.findOne({
+    identities: { $elemMatch: { provider: provider.id, subject: claims.sub } }
+  });
+  if (linked) {
+    return { user: linked };
+  }
+
+  const email = claims.email?.toLowerCase();
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  if (!email) {
+    return { error: 'email_required' };
+  }
+
+  const identity = {
+    provider: provider.id,
+    subject: claims.sub,
+    email,
+    linkedAt: new Date()
+  };
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    // Only link when both sides vouch for the address. An unverified local
+    // account may have been registered by someone else to hijack the login.
+    if (!emailVerified || !existingUser.emailVerified) {
+      return { error: 'account_exists' };
+    }
+
+    // From now on the IdP proves ownership: drop the password and sign out
+    // every session and token that was set up with it
+    existingUser.identities.push(identity);
+    existingUser.password = crypto.randomBytes(32).toString('hex');
+    existingUser.passwordChangedAt = new Date();
+    await existingUser.save();
+    await revokeUserSessions(existingUser._id, 'oidc_linked');
+    await revokeUserTokens(existingUser._id);
+
+    // Tell the owner why their password stopped working. The account is
+    // already linked, so a failed notice doesn't fail the login.
+    try {
+      await sendMail({
+        to: existingUser.email,
+        subject: `Your account was linked to ${provider.name}`,
+        text: `Hi ${existingUser.username},\n\nYour account was just linked to your ${provider.name} login. From now on you sign in with ${provider.name}: your password no longer works and all devices and access tokens were signed out. To sign in with a password again, use "Forgot password" to set a new one. If this wasn't you, contact support right away.`
+      });
+    } catch (error) {
+      console.error('Account linked email error:', error);
+    }
+
+    return { user: existingUser };
+  }
+
+  const user = new User({
+    username: await generateUsername(claims),
+    email,
+    // Accounts created through an IdP get an unusable random password
+    password: crypto.randomBytes(32).toString('hex'),
+    emailVerified,
+    profilePicture: claims.picture || null,
+    identities: [identity]
+  });
+  await user.save();
+
+  return { user };
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  createAuthorizationParams,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  findOrCreateOidcUser
+};
@@ -0,0 +1,86 @@
+const { Person } = require('../models');
+
+// Matches the collation of the Person name indexes: ignore case and accents
+const NAME_COLLATION = { locale: 'en', strength: 1 };
+
+// Find the person credited under a name, creating them if needed.
+// A TMDB person id is the most reliable match, so when one is given we
+// only fall back to a name match against people without a TMDB id.
+async function resolvePerson(name, tmdbPerson = null) {
+  if (tmdbPerson?.id) {
+    const byTmdbId = await Person.findOne({ tmdbPersonId: tmdbPerson.id });
+    if (byTmdbId) return byTmdbId;
+  }
+
+  const filter = { $or: [{ name }, { aliases: name }] };
+  if (tmdbPerson?.id) {
+    filter.tmdbPersonId = { $exists: false };
+  }
+
+  const byName = await Person.findOne(filter).collation(NAME_COLLATION);
+  if (byName) {
+    if (tmdbPerson?.id) {
+      byName.tmdbPersonId = tmdbPerson.id;
+      byName.photoUrl = byName.photoUrl || tmdbPerson.photoUrl || null;
+      await byName.save();
+    }
+    return byName;
+  }
+
+  try {
+    return await Person.create({
+      name,
+      ...(tmdbPerson?.id ? { tmdbPersonId: tmdbPerson.id, photoUrl: tmdbPerson.photoUrl || null } : {})
+    });
+  } catch (error) {
+    // Another import created the same TMDB person first
+    if (error.code === 11000 && tmdbPerson?.id) {
+      return Person.findOne({ tmdbPersonId: tmdbPerson.id });
+    }
+    throw error;
+  }
+}
+
+// Rebuild a movie's credits from its director and cast names. tmdbPeople
+// ({ director, cast }) holds TMDB person details in the same order when the
+// movie came from TMDB; entries whose name no longer matches are ignored.
+// The caller saves the movie.
+async function linkCredits(movie, tmdbPeople = {}) {
+  const matching = (name, tmdbPerson) => (tmdbPerson?.name === name ? tmdbPerson : null);
+  const credits = [];
+
+  if (movie.director && movie.director !== 'Unknown') {
+    const person = await resolvePerson(movie.director, matching(movie.director, tmdbPeople.director));
+    credits.push({ personId: person._id, role: 'director', order: 0 });
+  }
+
+  for (const [order, member] of (movie.cast || []).entries()) {
+    const person = await resolvePerson(member.name, matching(member.name, tmdbPeople.cast?.[order]));
+    credits.push({ personId: person._id, role: 'cast', character: member.character || null, order });
+  }
+
+  movie.credits = credits;
+  return movie;
+}
+
+// Average rating over the movies that have reviews, or null
+function ratingStats(movies) {
+  const rated = movies.filter(movie => movie.totalReviews > 0);
+  const average = rated.length > 0
+    ? rated.reduce((sum, movie) => sum + movie.averageRating, 0) / rated.length
+    : null;
+
+  return {
+    movieCount: movies.length,
+    ratedMovieCount: rated.length,
+    totalReviews: rated.reduce((sum, movie) => sum + movie.totalReviews, 0),
+    averageRating: average === null ? null : Math.round(average * 10) / 10
+  };
+}
+
+module.exports = {
+  NAME_COLLATION,
+  resolvePerson,
+  linkCredits,
+  ratingStats
+};
@@ -0,0 +1,70 @@
+// Named roles and the permissions they grant.
+// A user's effective permissions are the union of all their roles.
+const ROLE_PERMISSIONS = {
+  user: [
+    'review:write',
+    'watchlist:write'
+  ],
+  curator: [
+    'movie:write',
+    'collection:write'
+  ],
+  moderator: [
+    'review:moderate'
+  ],
+  admin: [
+    'movie:write',
+    'movie:delete',
+    'collection:write',
+    'review:moderate',
+    'user:manage'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const DEFAULT_ROLES = ['user'];
+
+function getPermissions(user) {
+  const permissions = new Set();
+  for (const role of user?.roles || []) {
+    for (const permission of ROLE_PERMISSIONS[role] || []) {
+      permissions.add(permission);
+    }
+  }
+  return permissions;
+}
+
+// Permissions every regular account has; anything else is privileged
+function isPrivilegedPermission(permission) {
+  return !ROLE_PERMISSIONS.user.includes(permission);
+}
+
+// When on, admin privileges only work once the account has 2FA enabled
+function isTwoFactorRequiredForAdmins() {
+  return process.env.REQUIRE_ADMIN_2FA === 'true';
+}
+
+// True for admins whose privileged permissions are on hold until they enable 2FA
+function isBlockedByTwoFactorMandate(user) {
+  return Boolean(user?.isAdmin) && isTwoFactorRequiredForAdmins() && !user.twoFactorEnabled;
+}
+
+// Whether the user may use a permission right now. Every privileged check
+// goes through here so the admin 2FA mandate can't be skipped.
+function hasPermission(user, permission) {
+  if (isPrivilegedPermission(permission) && isBlockedByTwoFactorMandate(user)) {
+    return false;
+  }
+  return getPermissions(user).has(permission);
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLES,
+  getPermissions,
+  hasPermission,
+  isPrivilegedPermission,
+  isTwoFactorRequiredForAdmins,
+  isBlockedByTwoFactorMandate
+};
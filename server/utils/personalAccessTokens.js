@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { PersonalAccessToken } = require('../models');
+const { hashToken } = require('./tokens');
+
+// Scopes a personal access token can be granted
+const TOKEN_SCOPES = [
+  'profile:read',
+  'profile:write',
+  'reviews:read',
+  'reviews:write',
+  'watchlist:read',
+  'watchlist:write',
+  'movies:read', // read-only catalog management views, e.g. edit history
+  'movies:write'
+];
+
+// Personal access tokens are recognisable by this prefix, which lets
+// authMiddleware tell them apart from JWTs without trying to decode them
+const TOKEN_PREFIX = 'mrp_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function isPersonalAccessToken(token) {
+  return token.startsWith(TOKEN_PREFIX);
+}
+
+// Create a token and return the plaintext value (shown to the user once)
+async function createPersonalAccessToken(userId, { name, scopes, expiresAt = null }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const record = await PersonalAccessToken.create({
+    userId,
+    name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+
+  return { token, record };
+}
+
+// Look up an active token. Returns null if unknown, revoked or expired.
+async function findActivePersonalAccessToken(token) {
+  const record = await PersonalAccessToken.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+
+  if (!record) {
+    return null;
+  }
+
+  // Avoid a write on every request
+  if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    record.lastUsedAt = new Date();
+    await record.save();
+  }
+
+  return record;
+}
+
+// Revoke every active token belonging to a user
+async function revokeUserTokens(userId) {
+  await PersonalAccessToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+}
+
+module.exports = {
+  TOKEN_SCOPES,
+  isPersonalAccessToken,
+  createPersonalAccessToken,
+  findActivePersonalAccessToken,
+  revokeUserTokens
+};
@@ -0,0 +1,95 @@
+const { MovieRevision } = require('../models');
+
+// Movie fields kept in revision history. Aggregates and derived data
+// (ratings, credits, sync timestamps) are rebuilt rather than versioned.
+const REVISION_FIELDS = [
+  'title', 'genre', 'releaseYear', 'director', 'cast', 'synopsis',
+  'posterUrl', 'posterImages', 'backdropUrl', 'backdropImages', 'trailerUrl',
+  'duration', 'tmdbId', 'imdbId', 'releaseDates', 'overriddenFields', 'translations'
+];
+
+// Plain copy of the tracked fields of a movie document or object
+function snapshotOf(movie) {
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    const value = movie[field];
+    if (field === 'cast') {
+      snapshot.cast = (value || []).map(member => ({ name: member.name, character: member.character || null }));
+    } else if (Array.isArray(value)) {
+      snapshot[field] = value.map(item => (item?.toObject ? item.toObject() : item));
+    } else if (value?.toObject) {
+      snapshot[field] = value.toObject();
+    } else {
+      snapshot[field] = value ?? null;
+    }
+  }
+  return snapshot;
+}
+
+// Field-level differences between two snapshots
+function diffSnapshots(before, after) {
+  const changes = [];
+  for (const field of REVISION_FIELDS) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+async function nextVersion(movieId) {
+  const latest = await MovieRevision.findOne({ movieId }).sort({ version: -1 }).select('version').lean();
+  return latest ? latest.version + 1 : 1;
+}
+
+// Store the movie's current state as a new revision. `previous` is the
+// snapshot from before the change; pass null when the movie was just created.
+// Returns null when nothing tracked changed.
+async function recordRevision(movie, { action, authorId = null, previous = null, revertedTo = null }) {
+  const snapshot = snapshotOf(movie);
+  const changes = diffSnapshots(previous || {}, snapshot);
+  if (previous && changes.length === 0) {
+    return null;
+  }
+
+  // Two editors saving at once race for the same version number
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      let version = await nextVersion(movie._id);
+
+      // Movies from before history was kept get their prior state as version 1
+      if (version === 1 && previous) {
+        await MovieRevision.create({
+          movieId: movie._id,
+          version,
+          action: 'initial',
+          snapshot: previous
+        });
+        version = 2;
+      }
+
+      return await MovieRevision.create({
+        movieId: movie._id,
+        version,
+        action,
+        authorId,
+        changes,
+        snapshot,
+        revertedTo
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error(`Could not record revision for movie ${movie._id}`);
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshotOf,
+  diffSnapshots,
+  recordRevision
+};
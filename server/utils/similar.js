@@ -0,0 +1,171 @@
+const { Movie, Review } = require('../models');
+
+// "If you liked this" scoring. Each signal is scaled to 0..1 and weighted:
+//   genre     Jaccard overlap of the genre lists
+//   director  same director
+//   cast      shared cast members relative to the smaller cast
+//   era       release years within ERA_SPAN_YEARS, closer scores higher
+//   ratings   cosine overlap of the users who rated both movies well
+const SIMILARITY_WEIGHTS = {
+  genre: 0.35,
+  director: 0.15,
+  cast: 0.2,
+  era: 0.1,
+  ratings: 0.2
+};
+const ERA_SPAN_YEARS = 20;
+const LIKED_RATING = 4;
+const MAX_LIKERS = 1000;
+
+// Results are cached per movie, cleared on catalog writes (see
+// invalidateSimilarCache) and expired after CACHE_TTL_MS so new reviews and
+// changes from other processes are picked up too.
+const CACHE_TTL_MS = (parseInt(process.env.SIMILAR_CACHE_TTL_SECONDS) || 1800) * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+const MAX_RESULTS = 50;
+
+const cache = new Map();
+let generation = 0; // bumped on invalidation, so results computed meanwhile aren't cached
+
+const CANDIDATE_FIELDS = 'genre director cast.name releaseYear';
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+// Users who liked the movie (at most MAX_LIKERS, most recent first), and for
+// every other movie they liked, how many of them did
+async function coRatings(movieId) {
+  const reviews = await Review.find({ movieId, rating: { $gte: LIKED_RATING } })
+    .select('userId')
+    .sort({ createdAt: -1 })
+    .limit(MAX_LIKERS)
+    .lean();
+  const likers = reviews.map(review => review.userId);
+
+  if (likers.length === 0) {
+    return { likerCount: 0, shared: new Map() };
+  }
+
+  const shared = await Review.aggregate([
+    { $match: { userId: { $in: likers }, movieId: { $ne: movieId }, rating: { $gte: LIKED_RATING } } },
+    { $group: { _id: '$movieId', count: { $sum: 1 } } }
+  ]);
+
+  return { likerCount: likers.length, shared: new Map(shared.map(entry => [entry._id.toString(), entry.count])) };
+}
+
+// Movie id -> number of users who liked it
+async function likerCounts(movieIds) {
+  const counts = await Review.aggregate([
+    { $match: { movieId: { $in: movieIds }, rating: { $gte: LIKED_RATING } } },
+    { $group: { _id: '$movieId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+}
+
+// Signals for one candidate, each between 0 and 1
+function scoreSignals(movie, candidate, ratings) {
+  const genres = new Set(movie.genre || []);
+  const candidateGenres = new Set(candidate.genre || []);
+  const sharedGenres = [...candidateGenres].filter(genre => genres.has(genre)).length;
+  const allGenres = new Set([...genres, ...candidateGenres]).size;
+
+  const cast = new Set((movie.cast || []).map(member => normalizeName(member.name)));
+  const candidateCast = new Set((candidate.cast || []).map(member => normalizeName(member.name)));
+  const sharedCast = [...candidateCast].filter(name => cast.has(name)).length;
+  const smallerCast = Math.min(cast.size, candidateCast.size);
+
+  const yearGap = Math.abs((movie.releaseYear || 0) - (candidate.releaseYear || 0));
+
+  const id = candidate._id.toString();
+  const sharedLikers = ratings.shared.get(id) || 0;
+  const candidateLikers = ratings.candidateLikers.get(id) || 0;
+
+  return {
+    genre: allGenres > 0 ? sharedGenres / allGenres : 0,
+    director: normalizeName(movie.director) && normalizeName(movie.director) === normalizeName(candidate.director) ? 1 : 0,
+    cast: smallerCast > 0 ? sharedCast / smallerCast : 0,
+    era: movie.releaseYear && candidate.releaseYear ? Math.max(0, 1 - yearGap / ERA_SPAN_YEARS) : 0,
+    ratings: sharedLikers > 0 ? sharedLikers / Math.sqrt(ratings.likerCount * candidateLikers) : 0
+  };
+}
+
+// Ranked [{ movieId, score, reasons }] for a movie, best first.
+// Candidates must share a genre, the director, a cast member or fans;
+// era alone never makes a movie similar.
+async function computeSimilar(movie) {
+  const ratings = await coRatings(movie._id);
+
+  const castNames = (movie.cast || []).map(member => member.name);
+  const candidates = await Movie.find({
+    _id: { $ne: movie._id },
+    $or: [
+      { genre: { $in: movie.genre || [] } },
+      { director: movie.director },
+      { 'cast.name': { $in: castNames } },
+      { _id: { $in: [...ratings.shared.keys()] } }
+    ]
+  })
+    .select(CANDIDATE_FIELDS)
+    .lean();
+
+  ratings.candidateLikers = ratings.shared.size > 0
+    ? await likerCounts(candidates.filter(candidate => ratings.shared.has(candidate._id.toString())).map(candidate => candidate._id))
+    : new Map();
+
+  return candidates
+    .map(candidate => {
+      const signals = scoreSignals(movie, candidate, ratings);
+      const score = Object.entries(SIMILARITY_WEIGHTS)
+        .reduce((total, [signal, weight]) => total + signals[signal] * weight, 0);
+      return {
+        movieId: candidate._id,
+        score: Math.round(score * 1000) / 1000,
+        // Signals worth mentioning to the user, strongest first
+        reasons: Object.keys(SIMILARITY_WEIGHTS)
+          .filter(signal => signals[signal] > 0 && signal !== 'era')
+          .sort((a, b) => signals[b] * SIMILARITY_WEIGHTS[b] - signals[a] * SIMILARITY_WEIGHTS[a])
+      };
+    })
+    .filter(entry => entry.reasons.length > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS);
+}
+
+// Similar movies for a movie document or lean object, served from the cache when fresh
+async function findSimilar(movie) {
+  const key = movie._id.toString();
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.results;
+  }
+
+  const computedFor = generation;
+  const results = await computeSimilar(movie);
+  if (computedFor !== generation) {
+    return results;
+  }
+
+  // Maps keep insertion order, so the first key is the oldest entry
+  cache.delete(key);
+  if (cache.size >= CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { results, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return results;
+}
+
+// Forget all cached results; any catalog change can move any movie's ranking
+function invalidateSimilarCache() {
+  generation += 1;
+  cache.clear();
+}
+
+module.exports = {
+  SIMILARITY_WEIGHTS,
+  MAX_RESULTS,
+  findSimilar,
+  invalidateSimilarCache
+};
@@ -0,0 +1,72 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// File storage configuration
+// STORAGE_DRIVER selects where uploaded files are kept:
+//   local - write files under UPLOAD_DIR, served by this app at /uploads (default)
+// Other backends can be added with registerStorageDriver or swapped in with setStorage.
+// UPLOAD_BASE_URL is the public prefix of stored files; set it to an absolute
+// URL (e.g. https://api.example.com/uploads) when the client runs on another origin.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+const UPLOAD_BASE_URL = (process.env.UPLOAD_BASE_URL || '/uploads').replace(/\/+$/, '');
+
+// A storage backend stores a buffer under a key and returns its public URL:
+//   put(key, buffer, { contentType }) -> url
+//   remove(key)
+function createLocalStorage() {
+  // Keys come from our own code, but never let one escape the upload directory
+  const fileFor = key => {
+    const file = path.resolve(UPLOAD_DIR, key);
+    if (!file.startsWith(UPLOAD_DIR + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return `${UPLOAD_BASE_URL}/${key}`;
+    },
+    async remove(key) {
+      await fs.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+const drivers = {
+  local: createLocalStorage
+};
+
+let storage = null;
+
+function registerStorageDriver(name, factory) {
+  drivers[name] = factory;
+}
+
+function getStorage() {
+  if (!storage) {
+    const factory = drivers[STORAGE_DRIVER];
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${STORAGE_DRIVER}`);
+    }
+    storage = factory();
+  }
+  return storage;
+}
+
+// Replace the active backend (e.g. with an in-memory one in tests)
+function setStorage(customStorage) {
+  storage = customStorage;
+}
+
+module.exports = {
+  STORAGE_DRIVER,
+  UPLOAD_DIR,
+  registerStorageDriver,
+  getStorage,
+  setStorage
+};
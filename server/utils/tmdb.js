@@ -0,0 +1,237 @@
+const axios = require('axios');
+const { Movie } = require('../models');
+const { linkCredits } = require('./people');
+const { recordRevision } = require('./revisions');
+const { normalizeLocale } = require('./i18n');
+
+// TMDB API configuration
+// TMDB_BASE_URL can point at a local fake server for testing
+const TMDB_API_KEY = process.env.TMDB_API_KEY;
+const TMDB_BASE_URL = process.env.TMDB_BASE_URL || 'https://api.themoviedb.org/3';
+const TMDB_IMAGE_BASE_URL = process.env.TMDB_IMAGE_BASE_URL || 'https://image.tmdb.org/t/p';
+
+// Movie fields filled from TMDB, and kept up to date by the metadata sync
+const SYNCED_FIELDS = [
+  'title', 'genre', 'releaseYear', 'director', 'cast', 'synopsis',
+  'posterUrl', 'backdropUrl', 'duration', 'imdbId', 'releaseDates'
+];
+
+// TMDB release types we track: 2 limited and 3 wide theatrical, 4 digital
+const RELEASE_TYPES = { 2: 'theatrical', 3: 'theatrical', 4: 'digital' };
+
+const CACHE_TTL_MS = (parseInt(process.env.TMDB_CACHE_TTL_SECONDS) || 600) * 1000;
+const CACHE_MAX_ENTRIES = 500;
+
+// Small in-memory response cache keyed by path + params
+const cache = new Map();
+
+function isConfigured() {
+  return Boolean(TMDB_API_KEY);
+}
+
+function imageUrl(path, size) {
+  return path ? `${TMDB_IMAGE_BASE_URL}/${size}${path}` : null;
+}
+
+// GET a TMDB endpoint, serving repeated calls from the cache
+async function tmdbGet(path, params = {}, { useCache = true } = {}) {
+  const key = `${path}?${new URLSearchParams(params).toString()}`;
+
+  if (useCache) {
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.data;
+    }
+  }
+
+  const response = await axios.get(`${TMDB_BASE_URL}${path}`, {
+    params: { ...params, api_key: TMDB_API_KEY }
+  });
+
+  // Maps keep insertion order, so the first key is the oldest entry
+  if (cache.size >= CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { data: response.data, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return response.data;
+}
+
+function tmdbPerson(person) {
+  return { id: person.id, name: person.name, photoUrl: imageUrl(person.profile_path, 'w185') };
+}
+
+// Earliest theatrical and digital date per region, ordered by region, type and date
+function mapReleaseDates(data) {
+  const earliest = new Map();
+  for (const country of data.results || []) {
+    for (const release of country.release_dates || []) {
+      const type = RELEASE_TYPES[release.type];
+      const date = new Date(release.release_date);
+      if (!type || !/^[A-Z]{2}$/.test(country.iso_3166_1) || Number.isNaN(date.getTime())) continue;
+
+      const key = `${country.iso_3166_1}:${type}`;
+      if (!earliest.has(key) || date < earliest.get(key).date) {
+        earliest.set(key, { region: country.iso_3166_1, type, date });
+      }
+    }
+  }
+  return [...earliest.values()].sort((a, b) => a.region.localeCompare(b.region) || a.type.localeCompare(b.type));
+}
+
+// Release dates of a movie as Movie.releaseDates entries. Like translations
+// they are optional, so a failed request gives none rather than failing the import.
+async function fetchReleaseDates(tmdbId, options) {
+  try {
+    return mapReleaseDates(await tmdbGet(`/movie/${tmdbId}/release_dates`, {}, options));
+  } catch (error) {
+    console.error(`TMDB release dates for movie ${tmdbId} failed:`, error.message);
+    return [];
+  }
+}
+
+// Fetch a movie with its credits and release dates and map it onto our Movie fields
+async function fetchMovieData(tmdbId, options) {
+  const tmdbMovie = await tmdbGet(`/movie/${tmdbId}`, {}, options);
+  const credits = await tmdbGet(`/movie/${tmdbId}/credits`, {}, options);
+  const releaseDates = await fetchReleaseDates(tmdbId, options);
+  const director = credits.crew.find(person => person.job === 'Director');
+
+  return {
+    title: tmdbMovie.title,
+    genre: tmdbMovie.genres.map(g => g.name),
+    releaseYear: new Date(tmdbMovie.release_date).getFullYear(),
+    director: director?.name || 'Unknown',
+    cast: credits.cast.slice(0, 10).map(actor => ({
+      name: actor.name,
+      character: actor.character
+    })),
+    synopsis: tmdbMovie.overview,
+    posterUrl: imageUrl(tmdbMovie.poster_path, 'w500'),
+    backdropUrl: imageUrl(tmdbMovie.backdrop_path, 'w1280'),
+    duration: tmdbMovie.runtime,
+    tmdbId: tmdbMovie.id,
+    imdbId: tmdbMovie.imdb_id,
+    releaseDates,
+    // Not a Movie field: TMDB person details for linking credits to people
+    tmdbPeople: {
+      director: director && tmdbPerson(director),
+      cast: credits.cast.slice(0, 10).map(tmdbPerson)
+    }
+  };
+}
+
+// Translated titles and overviews of a movie as Movie.translations entries.
+// Translations are a nice-to-have, so a failed request gives none.
+async function fetchTranslations(tmdbId) {
+  try {
+    const data = await tmdbGet(`/movie/${tmdbId}/translations`);
+    return (data.translations || [])
+      .map(translation => ({
+        locale: normalizeLocale(`${translation.iso_639_1}-${translation.iso_3166_1}`),
+        title: translation.data?.title || null,
+        synopsis: translation.data?.overview || null
+      }))
+      .filter(translation => translation.locale && (translation.title || translation.synopsis));
+  } catch (error) {
+    console.error(`TMDB translations for movie ${tmdbId} failed:`, error.message);
+    return [];
+  }
+}
+
+// Import one movie by TMDB id, recording authorId as the creator in its history.
+// Returns { status: 'imported' | 'exists' | 'not_found' | 'failed', movie?, error? }
+async function importMovie(tmdbId, { authorId = null } = {}) {
+  const id = parseInt(tmdbId);
+
+  // tmdbId is unique across deleted movies too
+  const existingMovie = await Movie.findOne({ tmdbId: id }).setOptions({ withDeleted: true });
+  if (existingMovie) {
+    return { status: 'exists', movie: existingMovie };
+  }
+
+  try {
+    const { tmdbPeople, ...movieData } = await fetchMovieData(id);
+    const translations = await fetchTranslations(id);
+    const movie = new Movie({ ...movieData, translations, tmdbSyncedAt: new Date() });
+    await linkCredits(movie, tmdbPeople);
+    await movie.save();
+    await recordRevision(movie, { action: 'create', authorId });
+    return { status: 'imported', movie };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return { status: 'not_found', error: 'Movie not found on TMDB' };
+    }
+    return { status: 'failed', error: error.response?.data?.status_message || error.message };
+  }
+}
+
+// Search TMDB and flag results we already have in the catalog
+async function searchMovies({ query, page = 1, year }) {
+  const data = await tmdbGet('/search/movie', {
+    query,
+    page,
+    ...(year ? { year } : {})
+  });
+
+  const tmdbIds = data.results.map(result => result.id);
+  const existing = await Movie.find({ tmdbId: { $in: tmdbIds } })
+    .setOptions({ withDeleted: true })
+    .select('_id tmdbId deletedAt')
+    .lean();
+  const existingByTmdbId = new Map(existing.map(movie => [movie.tmdbId, movie]));
+
+  return {
+    page: data.page,
+    totalPages: data.total_pages,
+    totalResults: data.total_results,
+    results: data.results.map(result => ({
+      tmdbId: result.id,
+      title: result.title,
+      originalTitle: result.original_title,
+      releaseDate: result.release_date || null,
+      overview: result.overview,
+      posterUrl: imageUrl(result.poster_path, 'w185'),
+      alreadyImported: existingByTmdbId.has(result.id),
+      movieId: existingByTmdbId.get(result.id)?._id || null,
+      isDeleted: Boolean(existingByTmdbId.get(result.id)?.deletedAt)
+    }))
+  };
+}
+
+// Collect TMDB ids from a TMDB list or a discover query, up to maxItems
+async function collectTmdbIds({ listId, discover }, maxItems) {
+  const ids = [];
+
+  if (listId) {
+    const list = await tmdbGet(`/list/${listId}`);
+    for (const item of list.items || []) {
+      if (item.media_type === undefined || item.media_type === 'movie') {
+        ids.push(item.id);
+      }
+    }
+    return ids.slice(0, maxItems);
+  }
+
+  let page = 1;
+  let totalPages = 1;
+  while (ids.length < maxItems && page <= totalPages) {
+    const data = await tmdbGet('/discover/movie', { ...discover, page });
+    ids.push(...data.results.map(result => result.id));
+    totalPages = data.total_pages;
+    page += 1;
+  }
+
+  return ids.slice(0, maxItems);
+}
+
+module.exports = {
+  SYNCED_FIELDS,
+  isConfigured,
+  tmdbGet,
+  fetchMovieData,
+  fetchTranslations,
+  importMovie,
+  searchMovies,
+  collectTmdbIds
+};
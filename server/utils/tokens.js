@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, Session, RefreshToken } = require('../models');
+
+// Token lifetimes
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Refreshing slides the expiry forward, but never past this age of the session
+const SESSION_MAX_AGE_DAYS = parseInt(process.env.SESSION_MAX_AGE_DAYS) || 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// Hash a secret token before it is stored or looked up
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Expiry of a session started at createdAt, as of now
+function sessionExpiry(createdAt = new Date(), now = new Date()) {
+  return new Date(Math.min(
+    now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS,
+    createdAt.getTime() + SESSION_MAX_AGE_DAYS * DAY_MS
+  ));
+}
+
+// Generate a short-lived access token bound to a session
+function generateAccessToken(user, session) {
+  return jwt.sign(
+    { id: user._id, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Generate a refresh token for the session and store its hash
+async function issueRefreshToken(session) {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    sessionId: session._id,
+    userId: session.userId,
+    tokenHash: hashToken(token),
+    expiresAt: session.expiresAt
+  });
+
+  return token;
+}
+
+// Start a new session for the user and return its first token pair.
+// The request is used to record which device the session belongs to.
+async function createSession(user, req) {
+  const session = await Session.create({
+    userId: user._id,
+    userAgent: req?.get('User-Agent')?.slice(0, 500) || null,
+    ip: req?.ip || null,
+    expiresAt: sessionExpiry()
+  });
+
+  const refreshToken = await issueRefreshToken(session);
+
+  return {
+    session,
+    token: generateAccessToken(user, session),
+    refreshToken
+  };
+}
+
+// Revoke a single session (and with it every refresh token in its family)
+async function revokeSession(sessionId, reason) {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+// Revoke every active session belonging to a user
+async function revokeUserSessions(userId, reason) {
+  await Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+// Exchange a refresh token for a new token pair.
+// Returns null when the token is unknown, expired or its session is revoked.
+// Presenting a token that was already rotated revokes the whole session.
+async function rotateRefreshToken(token) {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) {
+    return null;
+  }
+
+  const session = await Session.findById(stored.sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+
+  // Claim the token atomically so two concurrent refreshes can't both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  if (!claimed) {
+    console.warn(`Refresh token reuse detected, revoking session ${session._id}`);
+    await revokeSession(session._id, 'refresh_token_reuse');
+    return null;
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    await revokeSession(session._id, 'user_not_found');
+    return null;
+  }
+
+  session.expiresAt = sessionExpiry(session.createdAt);
+  session.lastSeenAt = new Date();
+  await session.save();
+
+  const refreshToken = await issueRefreshToken(session);
+
+  return {
+    session,
+    user,
+    token: generateAccessToken(user, session),
+    refreshToken
+  };
+}
+
+// Record activity on a session, at most once a minute to avoid a write per request
+async function touchSession(session) {
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+  }
+}
+
+// Find the session a refresh token belongs to, without rotating it
+async function findSessionByRefreshToken(token) {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) {
+    return null;
+  }
+
+  return Session.findById(stored.sessionId);
+}
+
+module.exports = {
+  hashToken,
+  sessionExpiry,
+  generateAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  touchSession,
+  findSessionByRefreshToken
+};
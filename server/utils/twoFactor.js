@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { User, LoginChallenge } = require('../models');
+const { hashToken } = require('./tokens');
+const { verifyCode } = require('./totp');
+const { isTwoFactorRequiredForAdmins } = require('./permissions');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Movie Reviews';
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+// Wrong codes allowed on one challenge before the password step must be redone
+const LOGIN_CHALLENGE_MAX_FAILURES = 5;
+
+// Short-lived, single-use token proving the password step of a login succeeded
+async function createLoginChallenge(user) {
+  const challengeToken = crypto.randomBytes(32).toString('base64url');
+
+  await LoginChallenge.create({
+    tokenHash: hashToken(challengeToken),
+    userId: user._id,
+    expiresAt: new Date(Date.now() + LOGIN_CHALLENGE_TTL_MS)
+  });
+
+  return challengeToken;
+}
+
+// Returns the pending challenge for a token, or null if it is unknown,
+// expired, already used or has seen too many wrong codes
+async function findLoginChallenge(challengeToken) {
+  return LoginChallenge.findOne({
+    tokenHash: hashToken(challengeToken),
+    usedAt: null,
+    failedAttempts: { $lt: LOGIN_CHALLENGE_MAX_FAILURES },
+    expiresAt: { $gt: new Date() }
+  });
+}
+
+async function recordChallengeFailure(challenge) {
+  await LoginChallenge.updateOne({ _id: challenge._id }, { $inc: { failedAttempts: 1 } });
+}
+
+// Mark the challenge used. Returns false if another request got there first.
+async function consumeLoginChallenge(challenge) {
+  const claimed = await LoginChallenge.findOneAndUpdate(
+    { _id: challenge._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+  return Boolean(claimed);
+}
+
+// Check a TOTP code against the user's active secret. Each time step can
+// only be used once, so a code that was just entered can't be replayed.
+async function verifyTotpForUser(userId, code, secretField = 'twoFactorSecret') {
+  const user = await User.findById(userId).select(`+${secretField}`);
+  if (!user || !user[secretField]) {
+    return false;
+  }
+
+  const step = verifyCode(user[secretField], code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }]
+    },
+    { twoFactorLastUsedStep: step }
+  );
+
+  return result.modifiedCount === 1;
+}
+
+// Consume a one-time recovery code
+async function useRecoveryCode(userId, recoveryCode) {
+  const codeHash = hashToken(recoveryCode.trim().toLowerCase());
+
+  const result = await User.updateOne(
+    { _id: userId, twoFactorRecoveryCodes: codeHash },
+    { $pull: { twoFactorRecoveryCodes: codeHash } }
+  );
+
+  return result.modifiedCount === 1;
+}
+
+// Verify either a TOTP code or a recovery code for an enrolled user
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  if (code) {
+    return verifyTotpForUser(userId, code);
+  }
+  if (recoveryCode) {
+    return useRecoveryCode(userId, recoveryCode);
+  }
+  return false;
+}
+
+module.exports = {
+  TWO_FACTOR_ISSUER,
+  isTwoFactorRequiredForAdmins,
+  createLoginChallenge,
+  findLoginChallenge,
+  recordChallengeFailure,
+  consumeLoginChallenge,
+  verifyTotpForUser,
+  verifySecondFactor
+};